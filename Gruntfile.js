@@ -13,8 +13,8 @@ module.exports = function(grunt) {
 					'sourceRoot': '../'
 				},
       	files: {
-					'reader/reader/js/reader.js': ['<banner>', 'node_modules/rsvp/dist/rsvp.js', 'node_modules/iota.lib.js/dist/iota-browser.js', 'node_modules/js-sha256/build/sha256.min.js', 'reader/src/core.js',  'reader/libs/iota/iota.js', 'reader/src/reader.js', 'reader/src/controllers/*.js'],
-					'public/vendor/iota/iota.min.js': ['<banner>', 'node_modules/iota.lib.js/dist/iota-browser.js', 'node_modules/js-sha256/build/sha256.min.js', 'reader/libs/iota/iota.js']
+					'reader/reader/js/reader.js': ['<banner>', 'node_modules/rsvp/dist/rsvp.js', 'node_modules/iota.lib.js/dist/iota-browser.js', 'node_modules/js-sha256/build/sha256.min.js', 'reader/src/core.js',  'reader/libs/iota/iota.js', 'reader/libs/ratings/identity.js', 'reader/libs/ratings/ratings.js', 'reader/src/reader.js', 'reader/src/bookmark_store.js', 'reader/src/controllers/*.js'],
+					'public/vendor/iota/iota.min.js': ['<banner>', 'node_modules/iota.lib.js/dist/iota-browser.js', 'node_modules/js-sha256/build/sha256.min.js', 'reader/libs/iota/iota.js', 'reader/libs/ratings/identity.js', 'reader/libs/ratings/ratings.js']
 				}
 			}
 		},
@@ -25,7 +25,7 @@ module.exports = function(grunt) {
 						sourceMap: false
 				},
 				files: {
-					'reader/js/reader.min.js': ['<banner>', 'node_modules/rsvp/dist/rsvp.js', 'reader/src/core.js', 'reader/src/reader.js', 'reader/src/controllers/*.js']
+					'reader/js/reader.min.js': ['<banner>', 'node_modules/rsvp/dist/rsvp.js', 'reader/src/core.js', 'reader/src/reader.js', 'reader/src/bookmark_store.js', 'reader/src/controllers/*.js']
 				}
 			}
 		},
@@ -0,0 +1,180 @@
+var crypto = require('crypto');
+var JsonStore = require('./store');
+
+var USERNAME = /^[A-Za-z0-9_.\-]{3,32}$/;
+var MIN_PASSWORD = 8;
+var MAX_PASSWORD = 1024;
+
+//-- scrypt with node's defaults (N=16384, r=8, p=1)
+var KEY_LENGTH = 64;
+var SALT_LENGTH = 16;
+
+var COOKIE = "session";
+var SESSION_AGE = 30 * 24 * 60 * 60 * 1000;
+
+//-- users are keyed on their lower cased name, sessions on their token
+var users;
+var sessions;
+
+function open(usersFile, sessionsFile) {
+  users = new JsonStore(usersFile);
+  sessions = new JsonStore(sessionsFile);
+}
+
+function isUsername(username) {
+  return typeof username === "string" && USERNAME.test(username);
+}
+
+function isPassword(password) {
+  return typeof password === "string" && password.length >= MIN_PASSWORD && password.length <= MAX_PASSWORD;
+}
+
+function exists(username) {
+  return !!users.get(username.toLowerCase());
+}
+
+function hash(password, salt) {
+  return new Promise(function(resolve, reject) {
+    crypto.scrypt(password, Buffer.from(salt, "hex"), KEY_LENGTH, function(err, key) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(key.toString("hex"));
+    });
+  });
+}
+
+//-- The user as the API shows it, without the password hash
+function describe(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt
+  };
+}
+
+//-- Resolves with the new user, or undefined when the name is taken
+function register(username, password) {
+  var salt = crypto.randomBytes(SALT_LENGTH).toString("hex");
+
+  return hash(password, salt).then(function(key) {
+    var user;
+
+    //-- taken by another registration while this one was hashing
+    if (exists(username)) {
+      return undefined;
+    }
+
+    user = {
+      id: crypto.randomBytes(8).toString("hex"),
+      username: username,
+      salt: salt,
+      hash: key,
+      createdAt: new Date().toISOString()
+    };
+
+    users.set(username.toLowerCase(), user);
+    return describe(user);
+  });
+}
+
+/**
+ * Resolves with the user when the password matches, or undefined.
+ * Unknown names are hashed too, so they take as long as wrong passwords.
+ */
+function login(username, password) {
+  var user = users.get(username.toLowerCase());
+  var salt = user ? user.salt : crypto.randomBytes(SALT_LENGTH).toString("hex");
+
+  return hash(password, salt).then(function(key) {
+    if (!user || !crypto.timingSafeEqual(Buffer.from(key, "hex"), Buffer.from(user.hash, "hex"))) {
+      return undefined;
+    }
+    return describe(user);
+  });
+}
+
+function createSession(user) {
+  var token = crypto.randomBytes(32).toString("hex");
+
+  sessions.set(token, {
+    user: user.username.toLowerCase(),
+    expiresAt: Date.now() + SESSION_AGE
+  });
+
+  return token;
+}
+
+function destroySession(token) {
+  if (token && sessions.get(token)) {
+    sessions.remove(token);
+  }
+}
+
+//-- The user of a session token, expired sessions are dropped on the way
+function sessionUser(token) {
+  var session = token && sessions.get(token);
+  var user;
+
+  if (!session) {
+    return undefined;
+  }
+
+  if (session.expiresAt < Date.now()) {
+    sessions.remove(token);
+    return undefined;
+  }
+
+  user = users.get(session.user);
+  return user ? describe(user) : undefined;
+}
+
+function parseCookies(header) {
+  var cookies = {};
+
+  (header || "").split(";").forEach(function(pair) {
+    var index = pair.indexOf("=");
+
+    if (index === -1) {
+      return;
+    }
+
+    try {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // malformed value, ignored
+    }
+  });
+
+  return cookies;
+}
+
+//-- Express middleware setting req.session (the token) and req.user from the session cookie
+function middleware(req, res, next) {
+  req.session = parseCookies(req.headers.cookie)[COOKIE];
+  req.user = sessionUser(req.session);
+  next();
+}
+
+function setCookie(res, token) {
+  res.cookie(COOKIE, token, { httpOnly: true, sameSite: "lax", maxAge: SESSION_AGE, path: "/" });
+}
+
+function clearCookie(res) {
+  res.clearCookie(COOKIE, { httpOnly: true, sameSite: "lax", path: "/" });
+}
+
+module.exports = {
+  MIN_PASSWORD: MIN_PASSWORD,
+  open: open,
+  isUsername: isUsername,
+  isPassword: isPassword,
+  exists: exists,
+  register: register,
+  login: login,
+  createSession: createSession,
+  destroySession: destroySession,
+  middleware: middleware,
+  setCookie: setCookie,
+  clearCookie: clearCookie
+};
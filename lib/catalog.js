@@ -0,0 +1,183 @@
+var fs = require('fs');
+var path = require('path');
+var epub = require('./epub');
+
+var BOOKS_URL = "/books/";
+
+var books = {};
+
+//-- The old catalog is served until a reload has read every file, and a reload
+//   overtaken by a newer one is dropped
+var generation = 0;
+
+//-- The JSON served for a single book
+function describe(book) {
+  return {
+    id: book.id,
+    identity: book.identity,
+    title: book.title,
+    creator: book.creator,
+    language: book.language,
+    description: book.description,
+    path: book.path,
+    href: "/books/?bookPath=" + book.path,
+    cover: book.cover ? "/api/books/" + book.id + "/cover" : null
+  };
+}
+
+//-- Read what the catalog keeps of one epub file
+function read(file) {
+  var id = path.basename(file, ".epub");
+
+  return epub.openFile(file).then(function(opened) {
+    var meta = epub.metadata(opened);
+    return {
+      id: id,
+      identity: epub.identity(opened),
+      file: file,
+      path: BOOKS_URL + path.basename(file),
+      title: meta.title || id,
+      creator: meta.creator,
+      language: meta.language,
+      description: meta.description,
+      cover: meta.cover,
+      coverType: meta.coverType
+    };
+  });
+}
+
+//-- Read one epub file into the catalog
+function add(file) {
+  return read(file).then(function(book) {
+    books[book.id] = book;
+    return book;
+  });
+}
+
+/**
+ * Scan a directory for epub files and rebuild the catalog.
+ * Books that fail to parse are logged and left out.
+ */
+function load(dir) {
+  var files = fs.readdirSync(dir).filter(function(name) {
+    return path.extname(name) === ".epub";
+  });
+  var built = {};
+  var current = ++generation;
+
+  return Promise.all(files.map(function(name) {
+    return read(path.join(dir, name)).then(function(book) {
+      built[book.id] = book;
+    }, function(err) {
+      console.log("Skipping " + name + ": " + err.message);
+    });
+  })).then(function() {
+    if (current === generation) {
+      books = built;
+    }
+    return list();
+  });
+}
+
+function list() {
+  return Object.keys(books).sort().map(function(id) {
+    return describe(books[id]);
+  });
+}
+
+function get(id) {
+  return books.hasOwnProperty(id) ? describe(books[id]) : undefined;
+}
+
+//-- Resolves with { type, data } for the book's cover image, or null
+function cover(id) {
+  var book = books.hasOwnProperty(id) && books[id];
+
+  if (!book || !book.cover) {
+    return Promise.resolve(null);
+  }
+
+  return epub.openFile(book.file).then(function(opened) {
+    var file = opened.zip.file(book.cover);
+
+    if (!file) return null;
+
+    return file.async("nodebuffer").then(function(data) {
+      return { type: book.coverType, data: data };
+    });
+  });
+}
+
+//-- Errors carry the HTTP status server.js answers with
+function failure(status, message) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function findIdentity(identity) {
+  return Object.keys(books).filter(function(id) {
+    return books[id].identity === identity;
+  })[0];
+}
+
+//-- A file name from the title with its accents dropped ("Ünïcode" is "unicode"),
+//   "-2", "-3"... added until it's free
+function freeId(dir, title) {
+  var base = title.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "book";
+  var id = base;
+
+  for (var n = 2; books.hasOwnProperty(id) || fs.existsSync(path.join(dir, id + ".epub")); n++) {
+    id = base + "-" + n;
+  }
+
+  return id;
+}
+
+/**
+ * Validate an uploaded epub, write it into `dir` and add it to the catalog.
+ * Resolves with the book as /api/books/:id shows it. Rejects with an Error whose `status`
+ * is 400 when the file isn't an epub, or 409 when the edition is in the catalog already.
+ */
+function upload(dir, data) {
+  return epub.validate(data).catch(function(err) {
+    throw failure(400, "Not a valid EPUB: " + err.message);
+  }).then(function(opened) {
+    var meta = epub.metadata(opened);
+    var existing = findIdentity(epub.identity(opened));
+    var id, file, partial;
+
+    if (existing) {
+      throw failure(409, "This book is already in the library as \"" + books[existing].title + "\"");
+    }
+
+    id = freeId(dir, meta.title);
+    file = path.join(dir, id + ".epub");
+
+    //-- Written under another name first, so the books watcher only sees the finished file
+    partial = path.join(dir, "." + id + ".upload");
+
+    return new Promise(function(resolve, reject) {
+      fs.writeFile(partial, data, function(err) {
+        if (err) return reject(err);
+
+        fs.rename(partial, file, function(err) {
+          if (err) return reject(err);
+          resolve(file);
+        });
+      });
+    });
+  }).then(add).then(function(book) {
+    return describe(book);
+  });
+}
+
+module.exports = {
+  load: load,
+  add: add,
+  upload: upload,
+  list: list,
+  get: get,
+  cover: cover
+};
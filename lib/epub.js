@@ -0,0 +1,200 @@
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var JSZip = require('jszip');
+var DOMParser = require('xmldom').DOMParser;
+
+var CONTAINER_PATH = "META-INF/container.xml";
+var MIMETYPE = "application/epub+zip";
+var DC_NS = "http://purl.org/dc/elements/1.1/";
+var OPF_NS = "http://www.idpf.org/2007/opf";
+
+function parseXml(str) {
+  return new DOMParser().parseFromString(str, "application/xml");
+}
+
+//-- Text of the first dc:<name> element in the metadata, or ""
+function dcText(doc, name) {
+  var el = doc.getElementsByTagNameNS(DC_NS, name)[0];
+  return el ? el.textContent.trim() : "";
+}
+
+//-- Resolve a manifest href against the directory of the OPF
+function resolve(opfPath, href) {
+  return path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(href));
+}
+
+function manifestItems(doc) {
+  var items = doc.getElementsByTagNameNS(OPF_NS, "item");
+  var result = [];
+
+  for (var i = 0; i < items.length; i++) {
+    result.push({
+      id: items[i].getAttribute("id"),
+      href: items[i].getAttribute("href"),
+      type: items[i].getAttribute("media-type"),
+      properties: (items[i].getAttribute("properties") || "").split(" ")
+    });
+  }
+
+  return result;
+}
+
+//-- EPUB 3 marks the cover with a property, EPUB 2 with <meta name="cover">
+function findCover(doc, items) {
+  var metas = doc.getElementsByTagNameNS(OPF_NS, "meta");
+  var coverId, i;
+
+  for (i = 0; i < items.length; i++) {
+    if (items[i].properties.indexOf("cover-image") != -1) {
+      return items[i];
+    }
+  }
+
+  for (i = 0; i < metas.length; i++) {
+    if (metas[i].getAttribute("name") === "cover") {
+      coverId = metas[i].getAttribute("content");
+    }
+  }
+
+  for (i = 0; i < items.length; i++) {
+    if (items[i].id === coverId && /^image\//.test(items[i].type)) {
+      return items[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Open an epub from a Buffer.
+ * Resolves with the zip, the path of the package document and its parsed xml.
+ */
+function open(data) {
+  return JSZip.loadAsync(data).then(function(zip) {
+    var container = zip.file(CONTAINER_PATH);
+
+    if (!container) {
+      throw new Error("Missing " + CONTAINER_PATH);
+    }
+
+    return container.async("string").then(function(xml) {
+      var rootfile = parseXml(xml).getElementsByTagName("rootfile")[0];
+      var opfPath = rootfile && rootfile.getAttribute("full-path");
+
+      if (!opfPath || !zip.file(opfPath)) {
+        throw new Error("Missing package document");
+      }
+
+      return zip.file(opfPath).async("string").then(function(opf) {
+        return {
+          zip: zip,
+          opfPath: opfPath,
+          opfText: opf,
+          opf: parseXml(opf)
+        };
+      });
+    });
+  });
+}
+
+//-- Open an epub from a file on disk
+function openFile(file) {
+  return new Promise(function(resolve, reject) {
+    fs.readFile(file, function(err, data) {
+      if (err) return reject(err);
+      resolve(data);
+    });
+  }).then(open);
+}
+
+/**
+ * Read the catalog metadata out of an opened epub.
+ * `cover` is the path of the cover image inside the zip, if there is one.
+ */
+function metadata(epub) {
+  var doc = epub.opf;
+  var cover = findCover(doc, manifestItems(doc));
+
+  return {
+    title: dcText(doc, "title"),
+    creator: dcText(doc, "creator"),
+    language: dcText(doc, "language"),
+    description: dcText(doc, "description"),
+    cover: cover ? resolve(epub.opfPath, cover.href) : null,
+    coverType: cover ? cover.type : null
+  };
+}
+
+/**
+ * Identity of an edition, used to key its ratings.
+ * "id:" + the package's unique dc:identifier, or "opf:" + a sha256 of the package document.
+ * Must match EPUBJS.Reader.prototype.getIdentity in the reader.
+ */
+function identity(epub) {
+  var doc = epub.opf;
+  var uid = doc.documentElement.getAttribute("unique-identifier");
+  var identifiers = doc.getElementsByTagNameNS(DC_NS, "identifier");
+  var identifier = "";
+
+  for (var i = 0; i < identifiers.length; i++) {
+    if (uid && identifiers[i].getAttribute("id") === uid) {
+      identifier = identifiers[i].textContent.trim();
+    }
+  }
+
+  if (!identifier && identifiers.length) {
+    identifier = identifiers[0].textContent.trim();
+  }
+
+  if (identifier) {
+    return "id:" + identifier;
+  }
+
+  return "opf:" + crypto.createHash("sha256").update(epub.opfText).digest("hex");
+}
+
+/**
+ * Check that a Buffer is an epub a reader can open: a zip with the epub mimetype entry,
+ * a container pointing at a package document, and a package with a spine.
+ * Resolves with the opened epub, rejects with an Error saying what is wrong.
+ */
+function validate(data) {
+  return JSZip.loadAsync(data).catch(function() {
+    throw new Error("Not a zip file");
+  }).then(function(zip) {
+    var mimetype = zip.file("mimetype");
+
+    if (!mimetype) {
+      throw new Error("Missing mimetype entry");
+    }
+
+    return mimetype.async("string").then(function(type) {
+      if (type.trim() !== MIMETYPE) {
+        throw new Error("The mimetype entry is not " + MIMETYPE);
+      }
+      return open(data);
+    });
+  }).then(function(epub) {
+    var root = epub.opf.documentElement;
+
+    if (!root || root.localName !== "package") {
+      throw new Error("The package document is not an OPF package");
+    }
+    if (!epub.opf.getElementsByTagNameNS(OPF_NS, "spine")[0]) {
+      throw new Error("The package document has no spine");
+    }
+
+    return epub;
+  });
+}
+
+module.exports = {
+  open: open,
+  validate: validate,
+  openFile: openFile,
+  metadata: metadata,
+  identity: identity,
+  resolve: resolve,
+  manifestItems: manifestItems
+};
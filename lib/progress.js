@@ -0,0 +1,87 @@
+var JsonStore = require('./store');
+
+//-- Books are keyed on their identity (see identity() in lib/epub.js), which can be a long urn
+var MAX_BOOK_ID = 256;
+var MAX_CFI = 1024;
+var MAX_DEVICE = 64;
+
+var store;
+
+function open(file) {
+  store = new JsonStore(file);
+}
+
+function isBookId(bookId) {
+  return typeof bookId === "string" && bookId.length > 0 && bookId.length <= MAX_BOOK_ID;
+}
+
+//-- { cfi, percentage, device, deviceName, updatedAt } as pushed by the reader
+function isPosition(position) {
+  if (!position || typeof position.cfi !== "string") {
+    return false;
+  }
+
+  if (position.cfi.length > MAX_CFI || position.cfi.indexOf("epubcfi(") !== 0) {
+    return false;
+  }
+
+  if (position.percentage !== undefined &&
+      (typeof position.percentage !== "number" || position.percentage < 0 || position.percentage > 1)) {
+    return false;
+  }
+
+  if (position.device !== undefined && (typeof position.device !== "string" || position.device.length > MAX_DEVICE)) {
+    return false;
+  }
+
+  if (position.deviceName !== undefined && (typeof position.deviceName !== "string" || position.deviceName.length > MAX_DEVICE)) {
+    return false;
+  }
+
+  return typeof position.updatedAt === "string" && !isNaN(Date.parse(position.updatedAt));
+}
+
+//-- When the position was read, as the client says but never later than now:
+//   a clock set in the future would otherwise keep every other device's position out
+function readAt(position) {
+  return Math.min(Date.parse(position.updatedAt), Date.now());
+}
+
+function get(user, bookId) {
+  var positions = store.get(user);
+  return positions && JsonStore.has(positions, bookId) ? positions[bookId] : undefined;
+}
+
+/**
+ * Saves the position unless the one stored was read later, which happens
+ * when a device that was offline catches up. Returns the position kept.
+ */
+function set(user, bookId, position) {
+  //-- Copied without a prototype, a book id is only a key
+  var positions = Object.assign(Object.create(null), store.get(user));
+  var current = JsonStore.has(positions, bookId) ? positions[bookId] : undefined;
+  var updatedAt = readAt(position);
+
+  if (current && readAt(current) > updatedAt) {
+    return current;
+  }
+
+  positions[bookId] = {
+    cfi: position.cfi,
+    percentage: position.percentage,
+    device: position.device,
+    deviceName: position.deviceName,
+    updatedAt: new Date(updatedAt).toISOString()
+  };
+
+  store.set(user, positions);
+  return positions[bookId];
+}
+
+module.exports = {
+  open: open,
+  isBookId: isBookId,
+  isPosition: isPosition,
+  get: get,
+  set: set
+};
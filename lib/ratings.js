@@ -0,0 +1,65 @@
+var crypto = require('crypto');
+var JsonStore = require('./store');
+
+//-- Book addresses are IOTA addresses (see hashCreate), so both stores share them
+var ADDRESS = /^[A-Z9]{81}$/;
+
+//-- Characters that fit into a single IOTA message fragment (2187 trytes)
+var MAX_MESSAGE = 1093;
+
+//-- Longer messages (reviews) are split into records sharing a bundle id
+var BUNDLE = /^[0-9a-f]{32}$/;
+var MAX_CHUNKS = 32;
+
+var store;
+
+function open(file) {
+  store = new JsonStore(file);
+}
+
+function isAddress(addr) {
+  return ADDRESS.test(addr);
+}
+
+function isMessage(message) {
+  return typeof message === "string" && message.length > 0 && message.length <= MAX_MESSAGE;
+}
+
+//-- { bundle, index, total } of a chunked message, all three or none
+function isChunk(chunk) {
+  if (chunk.bundle === undefined && chunk.index === undefined && chunk.total === undefined) {
+    return true;
+  }
+
+  return BUNDLE.test(chunk.bundle) &&
+    Number.isInteger(chunk.total) && chunk.total > 0 && chunk.total <= MAX_CHUNKS &&
+    Number.isInteger(chunk.index) && chunk.index >= 0 && chunk.index < chunk.total;
+}
+
+//-- Entries in the same shape the IOTA store reads from transactions
+function entries(addr) {
+  return store.get(addr) || [];
+}
+
+function add(addr, message, chunk) {
+  var entry = {
+    bundle: chunk.bundle || crypto.randomBytes(16).toString("hex"),
+    index: chunk.index || 0,
+    total: chunk.total || 1,
+    message: message,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+
+  store.set(addr, entries(addr).concat([entry]));
+  return entry;
+}
+
+module.exports = {
+  MAX_MESSAGE: MAX_MESSAGE,
+  open: open,
+  isAddress: isAddress,
+  isMessage: isMessage,
+  isChunk: isChunk,
+  entries: entries,
+  add: add
+};
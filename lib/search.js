@@ -0,0 +1,343 @@
+var fs = require('fs');
+var path = require('path');
+var DOMParser = require('xmldom').DOMParser;
+var epub = require('./epub');
+
+var BOOKS_URL = "/books/";
+
+//-- Characters of context shown on each side of a match
+var CONTEXT = 60;
+var MAX_RESULTS = 100;
+
+var OPF_NS = "http://www.idpf.org/2007/opf";
+var ELEMENT_NODE = 1;
+var TEXT_NODE = 3;
+var SKIP = { script: true, style: true, head: true };
+
+var WORD = /[\p{L}\p{N}]+/gu;
+
+//-- { nodes: [{ book, chapter, cfi, text }], terms: { word: [node index, ...] } }
+//   terms has no prototype, so words like "constructor" are just words
+var index = { nodes: [], terms: Object.create(null) };
+var generation = 0;
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function words(text) {
+  return text.toLowerCase().match(WORD) || [];
+}
+
+function parseXml(str) {
+  return new DOMParser().parseFromString(str, "application/xhtml+xml");
+}
+
+//-- Same step numbering as EpubCFI.pathTo in epub.js:
+//   elements are counted among element siblings, text nodes among text siblings
+function step(node) {
+  var siblings = node.parentNode.childNodes;
+  var position = 0;
+  var id;
+
+  for (var i = 0; i < siblings.length && siblings[i] !== node; i++) {
+    if (siblings[i].nodeType === node.nodeType) {
+      position++;
+    }
+  }
+
+  if (node.nodeType === TEXT_NODE) {
+    return String(1 + 2 * position);
+  }
+
+  id = node.getAttribute("id");
+  return (position + 1) * 2 + (id ? "[" + id + "]" : "");
+}
+
+function nodePath(node) {
+  var steps = [];
+
+  while (node && node.parentNode && node.parentNode.nodeType !== 9) {
+    steps.unshift(step(node));
+    node = node.parentNode;
+  }
+
+  return "/" + steps.join("/");
+}
+
+//-- Range CFI of [start, end) inside the text node at nodeCfi
+function rangeCfi(nodeCfi, start, end) {
+  var inner = nodeCfi.slice("epubcfi(".length, -1);
+  var split = inner.lastIndexOf("/");
+  var parent = inner.slice(0, split);
+  var last = inner.slice(split);
+
+  return "epubcfi(" + parent + "," + last + ":" + start + "," + last + ":" + end + ")";
+}
+
+//-- Labels of the table of contents by file, from the EPUB 3 nav or the EPUB 2 ncx
+function chapters(opened) {
+  var items = epub.manifestItems(opened.opf);
+  var labels = {};
+  var toc = null;
+  var i;
+
+  for (i = 0; i < items.length; i++) {
+    if (items[i].properties.indexOf("nav") != -1) {
+      toc = items[i];
+    }
+  }
+
+  for (i = 0; !toc && i < items.length; i++) {
+    if (items[i].type === "application/x-dtbncx+xml") {
+      toc = items[i];
+    }
+  }
+
+  if (!toc) {
+    return Promise.resolve(labels);
+  }
+
+  var tocPath = epub.resolve(opened.opfPath, toc.href);
+  var file = opened.zip.file(tocPath);
+
+  if (!file) {
+    return Promise.resolve(labels);
+  }
+
+  return file.async("string").then(function(xml) {
+    var doc = parseXml(xml);
+    var isNcx = toc.type === "application/x-dtbncx+xml";
+    var links = doc.getElementsByTagName(isNcx ? "navPoint" : "a");
+
+    for (var i = 0; i < links.length; i++) {
+      var label, href;
+
+      if (isNcx) {
+        label = links[i].getElementsByTagName("text")[0];
+        href = links[i].getElementsByTagName("content")[0];
+        href = href && href.getAttribute("src");
+      } else {
+        label = links[i];
+        href = links[i].getAttribute("href");
+      }
+
+      if (!label || !href) continue;
+
+      href = epub.resolve(tocPath, href.split("#")[0]);
+
+      if (!labels.hasOwnProperty(href)) {
+        labels[href] = label.textContent.replace(/\s+/g, " ").trim();
+      }
+    }
+
+    return labels;
+  }, function() {
+    return labels;
+  });
+}
+
+//-- Every non blank text node of a section with its CFI
+function sectionNodes(doc, base) {
+  var nodes = [];
+  var body = doc.getElementsByTagName("body")[0] || doc.documentElement;
+
+  var walk = function(node) {
+    for (var child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === TEXT_NODE && child.data.trim() !== "") {
+        nodes.push({
+          cfi: "epubcfi(" + base + "!" + nodePath(child) + ")",
+          text: child.data
+        });
+      } else if (child.nodeType === ELEMENT_NODE && !SKIP[child.localName]) {
+        walk(child);
+      }
+    }
+  };
+
+  walk(body);
+  return nodes;
+}
+
+//-- Read the text of one epub, resolves with [{ chapter, cfi, text }]
+function readBook(file) {
+  return epub.openFile(file).then(function(opened) {
+    var opf = opened.opf;
+    var spine = opf.getElementsByTagNameNS(OPF_NS, "spine")[0];
+    var manifest = {};
+    var spineStep = 0;
+    var node;
+
+    if (!spine) {
+      return [];
+    }
+
+    for (node = spine; node; node = node.previousSibling) {
+      if (node.nodeType === ELEMENT_NODE) spineStep += 2;
+    }
+
+    epub.manifestItems(opf).forEach(function(item) {
+      manifest[item.id] = item;
+    });
+
+    var itemrefs = spine.getElementsByTagNameNS(OPF_NS, "itemref");
+
+    return chapters(opened).then(function(labels) {
+      var nodes = [];
+      var read = Promise.resolve();
+
+      Array.prototype.forEach.call(itemrefs, function(itemref, i) {
+        var idref = itemref.getAttribute("idref");
+        var item = manifest[idref];
+        var href = item && epub.resolve(opened.opfPath, item.href);
+        var base = "/" + spineStep + "/" + (i + 1) * 2 + "[" + idref + "]";
+
+        if (!href || !opened.zip.file(href)) return;
+
+        read = read.then(function() {
+          return opened.zip.file(href).async("string");
+        }).then(function(xhtml) {
+          sectionNodes(parseXml(xhtml), base).forEach(function(node) {
+            node.chapter = labels[href] || path.posix.basename(href);
+            nodes.push(node);
+          });
+        });
+      });
+
+      return read.then(function() {
+        return nodes;
+      });
+    });
+  });
+}
+
+/**
+ * Rebuild the inverted index from every epub in a directory.
+ * Books are read one after another, and a build that was overtaken by a newer one is dropped.
+ */
+function load(dir) {
+  var files = fs.readdirSync(dir).filter(function(name) {
+    return path.extname(name) === ".epub";
+  }).sort();
+  var built = { nodes: [], terms: Object.create(null) };
+  var current = ++generation;
+
+  return files.reduce(function(previous, name) {
+    return previous.then(function() {
+      return readBook(path.join(dir, name)).then(function(nodes) {
+        var book = path.basename(name, ".epub");
+
+        nodes.forEach(function(node) {
+          var n = built.nodes.length;
+
+          node.book = book;
+          built.nodes.push(node);
+
+          words(node.text).forEach(function(word) {
+            var postings = has(built.terms, word) ? built.terms[word] : (built.terms[word] = []);
+
+            if (postings[postings.length - 1] !== n) {
+              postings.push(n);
+            }
+          });
+        });
+      }).catch(function(err) {
+        console.log("Not indexing " + name + ": " + err.message);
+      });
+    });
+  }, Promise.resolve()).then(function() {
+    if (current === generation) {
+      index = built;
+    }
+    return built.nodes.length;
+  });
+}
+
+//-- Node indexes found in both sorted postings lists
+function intersect(a, b) {
+  var result = [];
+  var i = 0, j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+}
+
+//-- Where to highlight in a node: the whole query if it's there, otherwise its first word
+function locate(text, q, first) {
+  var lower = text.toLowerCase();
+  var pos = lower.indexOf(q);
+  var match;
+
+  if (pos != -1) {
+    return { start: pos, end: pos + q.length };
+  }
+
+  WORD.lastIndex = 0;
+  while ((match = WORD.exec(lower))) {
+    if (match[0] === first) {
+      return { start: match.index, end: match.index + first.length };
+    }
+  }
+
+  return { start: 0, end: 0 };
+}
+
+/**
+ * Find the text nodes holding every word of the query.
+ * Results are { book, chapter, cfi, href, snippet: { before, match, after } }
+ */
+function search(q) {
+  var terms = words(q);
+  var phrase = q.toLowerCase().trim();
+  var found, total;
+
+  if (!terms.length) {
+    return { total: 0, results: [] };
+  }
+
+  found = terms.reduce(function(nodes, word) {
+    var postings = has(index.terms, word) ? index.terms[word] : [];
+    return nodes ? intersect(nodes, postings) : postings;
+  }, null);
+
+  total = found.length;
+
+  return {
+    total: total,
+    results: found.slice(0, MAX_RESULTS).map(function(n) {
+      var node = index.nodes[n];
+      var text = node.text;
+      var at = locate(text, phrase, terms[0]);
+      var cfi = rangeCfi(node.cfi, at.start, at.end);
+
+      return {
+        book: node.book,
+        chapter: node.chapter,
+        cfi: cfi,
+        href: "/books/?bookPath=" + BOOKS_URL + node.book + ".epub#" + cfi,
+        snippet: {
+          before: (at.start > CONTEXT ? "..." : "") + text.slice(Math.max(0, at.start - CONTEXT), at.start),
+          match: text.slice(at.start, at.end),
+          after: text.slice(at.end, at.end + CONTEXT) + (at.end + CONTEXT < text.length ? "..." : "")
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  MAX_RESULTS: MAX_RESULTS,
+  load: load,
+  search: search
+};
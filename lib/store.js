@@ -0,0 +1,75 @@
+var fs = require('fs');
+var path = require('path');
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * A small key/value store kept in memory and persisted to a JSON file.
+ * Writes are queued so only one save runs at a time.
+ * The data has no prototype, so keys like "__proto__" are stored like any other.
+ */
+function JsonStore(file) {
+  this.file = file;
+  this.data = Object.create(null);
+  this.saving = false;
+  this.pending = false;
+
+  try {
+    Object.assign(this.data, JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.log("Could not read " + file + ": " + e.message);
+    }
+  }
+}
+
+JsonStore.prototype.get = function(key) {
+  return has(this.data, key) ? this.data[key] : undefined;
+};
+
+JsonStore.prototype.set = function(key, value) {
+  this.data[key] = value;
+  this.save();
+  return value;
+};
+
+JsonStore.prototype.remove = function(key) {
+  delete this.data[key];
+  this.save();
+};
+
+JsonStore.prototype.keys = function() {
+  return Object.keys(this.data);
+};
+
+JsonStore.prototype.save = function() {
+  var store = this;
+
+  if (this.saving) {
+    this.pending = true;
+    return;
+  }
+
+  this.saving = true;
+
+  fs.mkdir(path.dirname(this.file), { recursive: true }, function() {
+    fs.writeFile(store.file, JSON.stringify(store.data), function(err) {
+      if (err) {
+        console.log("Could not write " + store.file + ": " + err.message);
+      }
+
+      store.saving = false;
+
+      if (store.pending) {
+        store.pending = false;
+        store.save();
+      }
+    });
+  });
+};
+
+JsonStore.has = has;
+
+module.exports = JsonStore;
@@ -0,0 +1,129 @@
+//-- Largest upload accepted, in bytes
+var MAX_SIZE = 50 * 1024 * 1024;
+
+var CRLF = Buffer.from("\r\n");
+var HEADER_END = Buffer.from("\r\n\r\n");
+
+//-- Errors carry the HTTP status server.js answers with
+function failure(status, message) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+//-- Buffer the request body, rejecting as soon as it grows past `limit`
+function readBody(req, limit) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    var failed = false;
+
+    if (parseInt(req.headers["content-length"], 10) > limit) {
+      return reject(failure(413, "File is larger than " + Math.round(limit / 1024 / 1024) + " MB"));
+    }
+
+    req.on("data", function(chunk) {
+      if (failed) return;
+
+      size += chunk.length;
+
+      if (size > limit) {
+        failed = true;
+        chunks = [];
+        reject(failure(413, "File is larger than " + Math.round(limit / 1024 / 1024) + " MB"));
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    req.on("end", function() {
+      if (!failed) resolve(Buffer.concat(chunks));
+    });
+
+    req.on("error", reject);
+  });
+}
+
+//-- { name, filename } of a part's Content-Disposition header
+function disposition(headers) {
+  var match = /^content-disposition:(.*)$/im.exec(headers);
+  var name, filename;
+
+  if (!match) return {};
+
+  name = /\bname="([^"]*)"/i.exec(match[1]);
+  filename = /\bfilename="([^"]*)"/i.exec(match[1]);
+
+  return {
+    name: name ? name[1] : undefined,
+    filename: filename ? filename[1] : undefined
+  };
+}
+
+/**
+ * Parts of a multipart/form-data body as [{ name, filename, data }].
+ * The whole body is in memory already, so this only slices it at the boundaries.
+ */
+function parts(body, boundary) {
+  var delimiter = Buffer.from("--" + boundary);
+  var result = [];
+  var start = body.indexOf(delimiter);
+  var next, headerEnd, content, headers;
+
+  while (start !== -1) {
+    start += delimiter.length;
+
+    //-- "--" after the delimiter closes the body
+    if (body[start] === 45 && body[start + 1] === 45) break;
+
+    next = body.indexOf(Buffer.concat([CRLF, delimiter]), start);
+    if (next === -1) break;
+
+    content = body.slice(start + CRLF.length, next);
+    headerEnd = content.indexOf(HEADER_END);
+
+    if (headerEnd !== -1) {
+      headers = disposition(content.slice(0, headerEnd).toString("utf8"));
+      result.push({
+        name: headers.name,
+        filename: headers.filename,
+        data: content.slice(headerEnd + HEADER_END.length)
+      });
+    }
+
+    start = next + CRLF.length;
+  }
+
+  return result;
+}
+
+/**
+ * Read the file uploaded as the `field` of a multipart/form-data request.
+ * Resolves with { filename, data }, rejects with an Error that has a `status`.
+ */
+function readFile(req, field, limit) {
+  var type = req.headers["content-type"] || "";
+  var boundary = /^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;]+))/i.exec(type);
+
+  if (!boundary) {
+    return Promise.reject(failure(415, "Expected a multipart/form-data upload"));
+  }
+
+  return readBody(req, limit || MAX_SIZE).then(function(body) {
+    var file = parts(body, boundary[1] || boundary[2]).filter(function(part) {
+      return part.name === field && part.filename !== undefined;
+    })[0];
+
+    if (!file || !file.data.length) {
+      throw failure(400, "Missing file in the \"" + field + "\" field");
+    }
+
+    return { filename: file.filename, data: file.data };
+  });
+}
+
+module.exports = {
+  MAX_SIZE: MAX_SIZE,
+  readFile: readFile
+};
@@ -0,0 +1,76 @@
+var Account = Account || {};
+
+Account.ME_API = "/api/me";
+Account.LOGIN_API = "/api/login";
+Account.REGISTER_API = "/api/register";
+Account.LOGOUT_API = "/api/logout";
+
+//-- Resolves with the signed in user, or null
+Account.me = function() {
+  return $.getJSON(Account.ME_API).then(function(user) {
+    return user;
+  }, function() {
+    return $.Deferred().resolve(null);
+  });
+};
+
+Account.post = function(url, data) {
+  return $.ajax({
+    url: url,
+    method: "POST",
+    contentType: "application/json",
+    dataType: "json",
+    data: JSON.stringify(data)
+  });
+};
+
+//-- "Sign in" or the username and "Sign out" in the navbar
+Account.renderNav = function(user) {
+  var $nav = $("#account-nav");
+  var $link = $('<a class="nav-link"></a>');
+
+  $nav.empty();
+
+  if(!user) {
+    $nav.append($link.attr("href", "/account.html").text("Sign in"));
+    return;
+  }
+
+  $link.attr("href", "#").text(user.username + " · Sign out").on("click", function(e) {
+    Account.post(Account.LOGOUT_API).always(function() {
+      window.location.reload();
+    });
+    e.preventDefault();
+  });
+  $nav.append($link);
+};
+
+//-- The forms of account.html, both sign in on success
+Account.bindForms = function() {
+  var submit = function($form, url) {
+    $form.on("submit", function(e) {
+      var $error = $form.find(".account-error");
+
+      $error.text("");
+
+      Account.post(url, {
+        username: $form.find("[name=username]").val().trim(),
+        password: $form.find("[name=password]").val()
+      }).then(function() {
+        window.location.href = "/";
+      }, function(xhr) {
+        $error.text(xhr.responseJSON && xhr.responseJSON.error || "Something went wrong, please try again");
+      });
+
+      e.preventDefault();
+    });
+  };
+
+  submit($("#login-form"), Account.LOGIN_API);
+  submit($("#register-form"), Account.REGISTER_API);
+};
+
+$(function() {
+  Account.me().then(Account.renderNav);
+  Account.bindForms();
+});
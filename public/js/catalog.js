@@ -0,0 +1,334 @@
+var Catalog = Catalog || {};
+
+Catalog.API = "/api/books";
+Catalog.SEARCH_API = "/api/search";
+Catalog.UPLOAD_FIELD = "book";
+Catalog.PLACEHOLDER = "http://placehold.it/700x400";
+Catalog.books = [];
+
+//-- Values List.js reads from each card: classes inside the card, data-* on the card itself
+Catalog.VALUE_NAMES = [ 'title', 'creator', { data: [ 'id', 'language', 'rating' ] } ];
+
+//-- ?sort= values and how each one orders the list
+Catalog.SORTS = {
+  alphabet : { valueName: 'title', order: 'asc' },
+  author : { valueName: 'creator', order: 'asc' },
+  popular_desc : { valueName: 'rating', order: 'desc', numeric: true },
+  popular_asc : { valueName: 'rating', order: 'asc', numeric: true }
+};
+
+//-- Sort, search, language filter and full text search currently applied, mirrored in the query string
+Catalog.state = {
+  sort : '',
+  q : '',
+  lang : '',
+  text : ''
+};
+
+Catalog.params = function() {
+  var search = window.location.search;
+  var params = {};
+
+  if(!search) {
+    return params;
+  }
+
+  search.slice(1).split("&").forEach(function(p) {
+    var split = p.split("=");
+    params[split[0]] = decodeURIComponent((split[1] || '').replace(/\+/g, ' '));
+  });
+
+  return params;
+};
+
+//-- Read the state from the url
+Catalog.readState = function() {
+  var params = Catalog.params();
+
+  Catalog.state.sort = Catalog.SORTS[params.sort] ? params.sort : '';
+  Catalog.state.q = params.q || '';
+  Catalog.state.lang = params.lang || '';
+  Catalog.state.text = params.text || '';
+};
+
+//-- Write the state back to the url, so the current view can be bookmarked
+Catalog.saveState = function(push) {
+  var query = [];
+  var url;
+
+  for(var name in Catalog.state) {
+    if(Catalog.state[name]) {
+      query.push(name + "=" + encodeURIComponent(Catalog.state[name]));
+    }
+  }
+
+  url = window.location.pathname + (query.length ? "?" + query.join("&") : "");
+
+  if(push) {
+    history.pushState(Catalog.state, '', url);
+  } else {
+    history.replaceState(Catalog.state, '', url);
+  }
+};
+
+//-- Build a .card for one book of /api/books
+Catalog.card = function(book) {
+  var $col = $('<div class="col-lg-4 col-md-6 mb-4"></div>');
+  var $card = $('<div class="card h-100"></div>');
+  var $cover = $('<a><img class="card-img-top" alt=""></a>');
+  var $body = $('<div class="card-body"></div>');
+  var $title = $('<h4 class="card-title"><a class="title"></a></h4>');
+  var $footer = $('<div class="card-footer"><small class="text-muted book-rating">No ratings yet</small><div class="form-group" style="margin-top:10px"></div></div>');
+  var $more = $('<button type="button" class="btn btn-success" data-toggle="modal" data-target=".docs-example-modal-lg">More</button>');
+
+  $cover.attr("href", book.href);
+  $cover.find("img").attr("src", book.cover || Catalog.PLACEHOLDER);
+
+  $title.find("a").attr("href", book.href).text(book.title);
+  $body.append($title);
+  $body.append($('<h5 class="creator"></h5>').text(book.creator));
+  $body.append($('<p class="card-text"></p>').text(book.description));
+
+  $more.attr({
+    "data-whatever" : book.path,
+    "data-identity" : book.identity
+  });
+  $footer.find(".form-group").append($more);
+
+  $card.append($cover, $body, $footer);
+  $col.attr({
+    "id" : "book-" + book.id,
+    "data-id" : book.id,
+    "data-language" : book.language,
+    "data-rating" : 0
+  }).append($card);
+
+  return $col;
+};
+
+Catalog.render = function(books) {
+  var $catalog = $("#catalog");
+
+  $catalog.empty();
+  books.forEach(function(book) {
+    $catalog.append(Catalog.card(book));
+  });
+
+  Catalog.list = new List('catalog-list', {
+    valueNames: Catalog.VALUE_NAMES
+  });
+};
+
+Catalog.renderLanguages = function(books) {
+  var $select = $("#catalog-language");
+  var languages = [];
+
+  books.forEach(function(book) {
+    if(book.language && languages.indexOf(book.language) === -1) {
+      languages.push(book.language);
+    }
+  });
+
+  //-- the catalog is loaded again after an upload
+  $select.find("option[value!='']").remove();
+
+  languages.sort().forEach(function(language) {
+    $select.append($("<option></option>").val(language).text(language));
+  });
+
+  $select.val(Catalog.state.lang);
+};
+
+//-- Re-run sort, search and filter from Catalog.state
+Catalog.apply = function() {
+  var list = Catalog.list;
+  var state = Catalog.state;
+  var sort = Catalog.SORTS[state.sort];
+
+  if(!list) return;
+
+  $("#catalog-sort .list-group-item").each(function() {
+    $(this).toggleClass("active", $(this).data("sort") === state.sort);
+  });
+
+  if(state.lang) {
+    list.filter(function(item) {
+      return item.values().language === state.lang;
+    });
+  } else {
+    list.filter();
+  }
+
+  list.search(state.q, [ 'title', 'creator' ]);
+
+  if(sort) {
+    list.sort(sort.valueName, {
+      order: sort.order,
+      sortFunction: sort.numeric ? function(a, b) {
+        return parseFloat(a.values()[sort.valueName]) - parseFloat(b.values()[sort.valueName]);
+      } : undefined
+    });
+  }
+};
+
+//-- Title of a book by id, falls back to the id before the catalog is loaded
+Catalog.title = function(id) {
+  for(var i = 0; i < Catalog.books.length; i++) {
+    if(Catalog.books[i].id === id) return Catalog.books[i].title;
+  }
+  return id;
+};
+
+//-- Search the text of every book through /api/search and list the passages found
+Catalog.searchText = function() {
+  var text = Catalog.state.text;
+  var $results = $("#library-results");
+  var $list = $("#library-results-list");
+  var $count = $("#library-results-count");
+
+  $list.empty();
+
+  if(!text) {
+    $results.hide();
+    return;
+  }
+
+  $count.text("Searching...");
+  $results.show();
+
+  $.getJSON(Catalog.SEARCH_API, { q: text }).then(function(found) {
+    //-- A newer search was started meanwhile
+    if(text !== Catalog.state.text) return;
+
+    $count.text(found.total ? "(" + found.total + ")" : "(nothing)");
+
+    found.results.forEach(function(result) {
+      var $item = $('<a class="list-group-item list-group-item-action"></a>').attr("href", result.href);
+      var $excerpt = $('<p class="mb-0"></p>');
+
+      $excerpt.append(document.createTextNode(result.snippet.before));
+      $excerpt.append($("<mark></mark>").text(result.snippet.match));
+      $excerpt.append(document.createTextNode(result.snippet.after));
+
+      $item.append($("<h6></h6>").text(Catalog.title(result.book) + " - " + result.chapter));
+      $item.append($excerpt);
+      $list.append($item);
+    });
+  }, function(err) {
+    console.error(err);
+    $count.text("(search failed)");
+  });
+};
+
+//-- Fetch the average rating of every book and show it on its card
+Catalog.loadRatings = function(books) {
+  books.forEach(function(book) {
+    get_rating(book_addresses(book.identity, book.path), function(rating) {
+      var avg = rating["total"] ? parseFloat(rating["avg"]) : 0;
+      var item = Catalog.list && Catalog.list.get('id', book.id)[0];
+
+      //-- Ids can hold dots, which a selector would read as classes
+      $(document.getElementById("book-" + book.id)).find(".book-rating").text(rating["total"] ?
+        avg.toFixed(1) + " / 5 (" + rating["total"] + " total)" :
+        rating["unverified"] ? "Ratings can only be shown over HTTPS" : "No ratings yet");
+
+      if(item) {
+        item.values({ rating: avg });
+        Catalog.apply();
+      }
+    });
+  });
+};
+
+Catalog.load = function() {
+  return $.getJSON(Catalog.API).then(function(books) {
+    Catalog.books = books;
+    Catalog.render(books);
+    Catalog.renderLanguages(books);
+    Catalog.apply();
+    Catalog.loadRatings(books);
+    return books;
+  }, function(err) {
+    console.error(err);
+  });
+};
+
+//-- Send an epub to POST /api/books, the catalog is reloaded once it's in
+Catalog.upload = function(file) {
+  var data = new FormData();
+  var $status = $("#book-upload-status");
+
+  data.append(Catalog.UPLOAD_FIELD, file);
+  $status.removeClass("text-danger").text("Uploading " + file.name + "...");
+
+  return $.ajax({
+    url: Catalog.API,
+    method: "POST",
+    data: data,
+    processData: false,
+    contentType: false,
+    dataType: "json"
+  }).then(function(book) {
+    $status.text("Added " + book.title);
+    return Catalog.load();
+  }, function(xhr) {
+    $status.addClass("text-danger").text(xhr.responseJSON && xhr.responseJSON.error || "Upload failed");
+  });
+};
+
+$(function() {
+  Catalog.readState();
+
+  $("#catalog-search").val(Catalog.state.q).on("input", function() {
+    Catalog.state.q = $(this).val();
+    Catalog.saveState(false);
+    Catalog.apply();
+  });
+
+  $("#catalog-language").on("change", function() {
+    Catalog.state.lang = $(this).val();
+    Catalog.saveState(false);
+    Catalog.apply();
+  });
+
+  $("#library-search-text").val(Catalog.state.text);
+  $("#library-search").on("submit", function(e) {
+    Catalog.state.text = $("#library-search-text").val().trim();
+    Catalog.saveState(true);
+    Catalog.searchText();
+    e.preventDefault();
+  });
+
+  $("#catalog-sort .list-group-item").on("click", function(e) {
+    Catalog.state.sort = $(this).data("sort");
+    Catalog.saveState(true);
+    Catalog.apply();
+    e.preventDefault();
+  });
+
+  window.addEventListener("popstate", function() {
+    Catalog.readState();
+
+    $("#catalog-search").val(Catalog.state.q);
+    $("#catalog-language").val(Catalog.state.lang);
+    $("#library-search-text").val(Catalog.state.text);
+    Catalog.apply();
+    Catalog.searchText();
+  });
+
+  //-- Only signed in readers can upload
+  Account.me().then(function(user) {
+    $("#book-upload").toggle(!!user);
+  });
+
+  $("#book-upload").on("submit", function(e) {
+    var file = $("#book-upload-file")[0].files[0];
+
+    if(file) {
+      Catalog.upload(file);
+    }
+    e.preventDefault();
+  });
+
+  Catalog.load().then(Catalog.searchText);
+});
@@ -11,68 +11,82 @@ function rtrim(char, str) {
     }
 }
 
-function get_rating(book_addr, callback) {
-
-    iota.api.findTransactionObjects( { addresses: [book_addr]}, function(error,success) { 
-        if(error) { 
-            console.log(error);
-            return; 
-        }
-        //console.log(success)
-
-        var rating = {
-            "5" : 0,
-            "4" : 0,
-            "3" : 0,
-            "2" : 0,
-            "1" : 0,
-            "total" : success.length,
-            "avg" : 0
-        };
-
-        tmp = ''
-        var sum = 0;
-        for (var x = 0; x < success.length; x++) {
-            tmp = success[x].signatureMessageFragment;
-
-            tmp = rtrim('9', tmp);
-            var res = iota.utils.fromTrytes(tmp);
-            console.log(res);
-
-            res = JSON.parse(res);
-            rating[res["rating"]] += 1;
-            sum += parseInt(res["rating"]);
-            console.log(sum)
-        }
-
-        var avg = sum / success.length;
-        rating["avg"] = avg;
-
-        callback(rating);
-    });
-}
-
-function push_rating(book_addr, rating) {
-    const message = iota.utils.toTrytes(rating)
-
-    console.log(rating);
-
-    const transfers = [
-        {
-          value: 0,
-          address: book_addr,
-          message: message//,tag: tag
-        }
-      ]
-      
-      iota.api.sendTransfer(book_addr, 3, 14, transfers, (error, success) => {
-        if (error) {
-          console.log(error)
-        } else {
-          console.log(success)
-        }
-      })
-}
+//-- Rating store backed by zero-value transactions on the IOTA Tangle
+var iota_store = {
+
+    //-- Messages longer than one fragment span several transactions of a bundle,
+    //   so transactions are grouped by bundle and their fragments joined in order.
+    //   A reattached bundle is returned once per attachment.
+    fetch: function(book_addr, callback) {
+        iota.api.findTransactionObjects( { addresses: [book_addr]}, function(error,success) {
+            if(error) {
+                callback(error);
+                return;
+            }
+
+            var bundles = {};
+            var entries = [];
+
+            success.forEach(function(tx) {
+                var bundle = bundles[tx.bundle] = bundles[tx.bundle] || {
+                    "fragments" : {},
+                    "attachments" : 0,
+                    "lastIndex" : tx.lastIndex,
+                    "timestamp" : tx.timestamp
+                };
+
+                if(tx.currentIndex === 0) {
+                    bundle.attachments += 1;
+                }
+
+                bundle.fragments[tx.currentIndex] = tx.signatureMessageFragment;
+            });
+
+            Object.keys(bundles).forEach(function(hash) {
+                var bundle = bundles[hash];
+                var trytes = '';
+                var message = null;
+
+                for (var i = 0; i <= bundle.lastIndex; i++) {
+                    if(!bundle.fragments.hasOwnProperty(i)) {
+                        trytes = null;
+                        break;
+                    }
+                    trytes += bundle.fragments[i];
+                }
+
+                if(trytes !== null) {
+                    message = iota.utils.fromTrytes(rtrim('9', trytes));
+                }
+
+                for (var c = 0; c < Math.max(bundle.attachments, 1); c++) {
+                    entries.push({
+                        "bundle" : hash,
+                        "message" : message,
+                        "timestamp" : bundle.timestamp
+                    });
+                }
+            });
+
+            callback(null, entries);
+        });
+    },
+
+    //-- sendTransfer spreads messages longer than one fragment over several transactions
+    send: function(book_addr, message, callback) {
+        const transfers = [
+            {
+                value: 0,
+                address: book_addr,
+                message: iota.utils.toTrytes(message)
+            }
+        ]
+
+        iota.api.sendTransfer(book_addr, 3, 14, transfers, (error, success) => {
+            callback(error || null);
+        })
+    }
+};
 
 function hashCreate(str)
 { 
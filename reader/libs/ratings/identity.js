@@ -0,0 +1,157 @@
+// Every reader votes with a persistent ECDSA keypair kept in localStorage.
+// Rating payloads carry the public key and a signature over the book address,
+// the vote and its timestamp, so get_rating can keep one vote per key.
+// Browsers only offer WebCrypto on HTTPS and localhost, see ratings_need_https.
+
+const RATING_IDENTITY_KEY = 'coolishreader:identity';
+const RATING_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const RATING_SIGN_ALGORITHM = { name: 'ECDSA', hash: { name: 'SHA-256' } };
+
+function to_base64(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var str = '';
+
+    for (var i = 0; i < bytes.length; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+
+    return btoa(str);
+}
+
+function from_base64(str) {
+    var raw = atob(str);
+    var bytes = new Uint8Array(raw.length);
+
+    for (var i = 0; i < raw.length; i++) {
+        bytes[i] = raw.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+const RATING_HTTPS_MESSAGE = 'Ratings can only be signed and checked over HTTPS';
+
+function crypto_subtle() {
+    return window.crypto && window.crypto.subtle;
+}
+
+//-- True when this page can't sign or check votes, pages say so instead of offering the vote
+function ratings_need_https() {
+    return !crypto_subtle();
+}
+
+//-- JSON with every non-ASCII character escaped, the Tangle only stores ASCII
+function ascii_json(obj) {
+    return JSON.stringify(obj).replace(/[\u007f-\uffff]/g, function(c) {
+        return '\\u' + ('0000' + c.charCodeAt(0).toString(16)).slice(-4);
+    });
+}
+
+//-- The bytes a rating signature covers, the review only when there is one
+function signed_data(book_addr, payload) {
+    var data = [book_addr, payload["rating"], payload["timestamp"]];
+
+    if(Object.prototype.hasOwnProperty.call(payload, "review")) {
+        data.push(payload["review"]);
+    }
+
+    return new TextEncoder().encode(JSON.stringify(data));
+}
+
+function load_identity_keys(subtle) {
+    return Promise.resolve().then(function() {
+        var stored = JSON.parse(localStorage.getItem(RATING_IDENTITY_KEY));
+
+        if(!stored) {
+            throw new Error('No stored identity');
+        }
+
+        return Promise.all([
+            subtle.importKey('jwk', stored.privateKey, RATING_KEY_ALGORITHM, false, ['sign']),
+            subtle.importKey('jwk', stored.publicKey, RATING_KEY_ALGORITHM, true, ['verify'])
+        ]);
+    }).then(function(keys) {
+        return { privateKey: keys[0], publicKey: keys[1] };
+    });
+}
+
+function create_identity_keys(subtle) {
+    return subtle.generateKey(RATING_KEY_ALGORITHM, true, ['sign', 'verify']).then(function(pair) {
+        return Promise.all([
+            subtle.exportKey('jwk', pair.privateKey),
+            subtle.exportKey('jwk', pair.publicKey)
+        ]).then(function(jwk) {
+            localStorage.setItem(RATING_IDENTITY_KEY, JSON.stringify({
+                privateKey: jwk[0],
+                publicKey: jwk[1]
+            }));
+            return pair;
+        });
+    });
+}
+
+var rating_identity_keys;
+
+//-- Resolves with { privateKey, publicKey } where publicKey is the base64 raw key
+function rating_identity() {
+    var subtle = crypto_subtle();
+
+    if(!subtle) {
+        return Promise.reject(new Error(RATING_HTTPS_MESSAGE));
+    }
+
+    if(!rating_identity_keys) {
+        rating_identity_keys = load_identity_keys(subtle).catch(function() {
+            return create_identity_keys(subtle);
+        }).then(function(pair) {
+            return subtle.exportKey('raw', pair.publicKey).then(function(raw) {
+                return { privateKey: pair.privateKey, publicKey: to_base64(raw) };
+            });
+        });
+    }
+
+    return rating_identity_keys;
+}
+
+//-- Resolves with the signed rating payload, as a JSON string ready to store.
+//   `review` is optional: { title, body, spoiler }
+function sign_rating(book_addr, value, review) {
+    return rating_identity().then(function(identity) {
+        var payload = {
+            "rating" : value,
+            "timestamp" : Date.now(),
+            "key" : identity.publicKey
+        };
+
+        if(review && (review.title || review.body)) {
+            payload["review"] = {
+                "title" : review.title || '',
+                "body" : review.body || '',
+                "spoiler" : !!review.spoiler
+            };
+        }
+
+        return crypto_subtle().sign(RATING_SIGN_ALGORITHM, identity.privateKey, signed_data(book_addr, payload)).then(function(signature) {
+            payload["signature"] = to_base64(signature);
+            return ascii_json(payload);
+        });
+    });
+}
+
+//-- Resolves with true if the payload was signed by its own key for this book,
+//   or null when this page can't check signatures at all
+function verify_rating(book_addr, payload) {
+    var subtle = crypto_subtle();
+
+    if(!subtle) {
+        return Promise.resolve(null);
+    }
+
+    return Promise.resolve().then(function() {
+        return subtle.importKey('raw', from_base64(payload["key"]), RATING_KEY_ALGORITHM, false, ['verify']);
+    }).then(function(key) {
+        return subtle.verify(RATING_SIGN_ALGORITHM, key, from_base64(payload["signature"]), signed_data(book_addr, payload));
+    }).catch(function() {
+        return false;
+    });
+}
@@ -0,0 +1,383 @@
+// Ratings are kept in a pluggable store. Every store implements:
+//   fetch(book_addr, callback(error, entries))  entries are { bundle, message, timestamp }
+//   send(book_addr, message, callback(error))
+// get_rating and push_rating below are the only entry points pages should use,
+// book_addresses gives the addresses a book's ratings are kept under.
+
+const RATING_CONFIG_URL = '/api/config';
+const RATING_DEFAULT_STORE = 'local';
+
+//-- Ratings are signed since 19 October 2026. Unsigned votes received after that could
+//   have been sent by anyone for any count, so only older ones are kept (see get_rating).
+//   In seconds, like the timestamps lib/ratings.js gives stored entries
+const RATING_LEGACY_CUTOFF = Date.UTC(2026, 9, 19) / 1000;
+
+//-- Characters of a message that fit into one record, the same as one IOTA message fragment
+const RATING_CHUNK_SIZE = 1093;
+
+function random_bundle_id() {
+    var bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    var id = '';
+
+    for (var i = 0; i < bytes.length; i++) {
+        id += ('0' + bytes[i].toString(16)).slice(-2);
+    }
+
+    return id;
+}
+
+//-- Rating store served by server.js under /api/ratings/:bookAddr
+var local_store = {
+
+    //-- Records of one bundle are joined back into a single message,
+    //   a bundle with missing records yields a null message
+    fetch: function(book_addr, callback) {
+        $.getJSON('/api/ratings/' + book_addr).then(function(data) {
+            var bundles = {};
+            var order = [];
+
+            data.entries.forEach(function(record) {
+                var bundle = bundles[record.bundle];
+
+                if(!bundle) {
+                    bundle = bundles[record.bundle] = {
+                        "chunks" : {},
+                        "total" : record.total || 1,
+                        "timestamp" : record.timestamp
+                    };
+                    order.push(record.bundle);
+                }
+
+                bundle.chunks[record.index || 0] = record.message;
+            });
+
+            callback(null, order.map(function(hash) {
+                var bundle = bundles[hash];
+                var message = '';
+
+                for (var i = 0; i < bundle.total; i++) {
+                    if(!bundle.chunks.hasOwnProperty(i)) {
+                        message = null;
+                        break;
+                    }
+                    message += bundle.chunks[i];
+                }
+
+                return {
+                    "bundle" : hash,
+                    "message" : message,
+                    "timestamp" : bundle.timestamp
+                };
+            }));
+        }, function(xhr) {
+            callback(new Error(xhr.statusText));
+        });
+    },
+
+    //-- Messages longer than one record are split into chunks sharing a bundle id
+    send: function(book_addr, message, callback) {
+        var bundle = random_bundle_id();
+        var chunks = [];
+
+        for (var i = 0; i < message.length; i += RATING_CHUNK_SIZE) {
+            chunks.push(message.slice(i, i + RATING_CHUNK_SIZE));
+        }
+
+        $.when.apply($, chunks.map(function(chunk, index) {
+            return $.ajax({
+                type: 'POST',
+                url: '/api/ratings/' + book_addr,
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    message: chunk,
+                    bundle: bundle,
+                    index: index,
+                    total: chunks.length
+                })
+            });
+        })).then(function() {
+            callback(null);
+        }, function(xhr) {
+            callback(new Error(xhr.statusText));
+        });
+    }
+};
+
+var rating_stores = {
+    'iota' : iota_store,
+    'local' : local_store
+};
+
+var rating_config;
+
+//-- Calls back with the store chosen by the server config
+function rating_store(callback) {
+    if(!rating_config) {
+        rating_config = $.getJSON(RATING_CONFIG_URL).then(function(config) {
+            return config.ratings || {};
+        }, function() {
+            return {};
+        });
+    }
+
+    rating_config.then(function(config) {
+        callback(rating_stores[config.store] || rating_stores[RATING_DEFAULT_STORE]);
+    });
+}
+
+function empty_rating() {
+    return {
+        "5" : 0,
+        "4" : 0,
+        "3" : 0,
+        "2" : 0,
+        "1" : 0,
+        "total" : 0,
+        "avg" : 0,
+        "rejected" : 0,
+        "unverified" : 0,
+        "duplicates" : 0,
+        "superseded" : 0,
+        "ignored" : 0,
+        "reviews" : []
+    };
+}
+
+function is_review(review) {
+    return !!review && typeof review === 'object' &&
+        typeof review["title"] === 'string' &&
+        typeof review["body"] === 'string' &&
+        typeof review["spoiler"] === 'boolean';
+}
+
+//-- Parse a signed rating payload (see identity.js), returns null if it's malformed.
+//   Votes from before ratings were signed are only { rating }, they're accepted when
+//   `legacy` is set, see get_rating for which entries that is.
+function parse_rating(message, legacy) {
+    var payload, value;
+
+    if(typeof message !== 'string') {
+        return null;
+    }
+
+    try {
+        payload = JSON.parse(message);
+    } catch (e) {
+        return null;
+    }
+
+    if(!payload || typeof payload !== 'object') {
+        return null;
+    }
+
+    value = payload["rating"];
+
+    if(legacy && !Object.prototype.hasOwnProperty.call(payload, "signature")) {
+        return parse_legacy_rating(value);
+    }
+
+    if(typeof value !== 'number' || value % 1 !== 0 || value < 0 || value > 5) {
+        return null;
+    }
+
+    if(typeof payload["timestamp"] !== 'number' ||
+            typeof payload["key"] !== 'string' ||
+            typeof payload["signature"] !== 'string') {
+        return null;
+    }
+
+    if(Object.prototype.hasOwnProperty.call(payload, "review") && !is_review(payload["review"])) {
+        return null;
+    }
+
+    return payload;
+}
+
+//-- An unsigned vote, sent by clients before ratings were signed. Some sent the slider value
+//   as a string. There's no key to count it once per reader, so it's marked "legacy"
+function parse_legacy_rating(value) {
+    if(typeof value === 'string' && /^[0-5]$/.test(value)) {
+        value = parseInt(value, 10);
+    }
+
+    if(typeof value !== 'number' || value % 1 !== 0 || value < 0 || value > 5) {
+        return null;
+    }
+
+    return { "rating" : value, "legacy" : true };
+}
+
+//-- Addresses of the path-based pools handed out by book_addresses, see get_rating
+var legacy_addresses = {};
+
+//-- Addresses of a book's ratings. They're keyed on the edition's identity
+//   (see EPUBJS.Reader.prototype.getIdentity), but used to be keyed on the url path
+//   of the file, so both pools are read and merged. New votes go to the first one.
+function book_addresses(identity, path) {
+    var addrs = [];
+
+    if(identity) {
+        addrs.push(hashCreate(identity));
+    }
+
+    if(path) {
+        addrs.push(hashCreate(path));
+        legacy_addresses[addrs[addrs.length - 1]] = true;
+    }
+
+    return addrs;
+}
+
+//-- Build the histogram shown in the rating modal from raw store entries,
+//   each tagged with the address it was read from.
+//   Entries are counted once per bundle, so reattached transactions don't add votes,
+//   and only the latest validly signed vote of each key is kept.
+//   Malformed or badly signed payloads are counted in "rejected", unset (0) votes in "ignored".
+//   Without WebCrypto (see ratings_need_https) signed votes can't be checked, so they're left
+//   out of the histogram and counted in "unverified" instead.
+//   Resolves with the histogram, the reviews of the kept votes are listed in "reviews".
+function aggregate_rating(entries) {
+    var rating = empty_rating();
+    var bundles = {};
+    var payloads = [];
+    var addresses = [];
+
+    for (var x = 0; x < entries.length; x++) {
+        var entry = entries[x] || {};
+        var payload;
+
+        if(entry.bundle && bundles.hasOwnProperty(entry.bundle)) {
+            rating["duplicates"] += 1;
+            continue;
+        }
+
+        if(entry.bundle) {
+            bundles[entry.bundle] = true;
+        }
+
+        payload = parse_rating(entry.message, !!entry.legacy);
+
+        if(payload === null) {
+            rating["rejected"] += 1;
+            continue;
+        }
+
+        if(payload["rating"] === 0) {
+            rating["ignored"] += 1;
+            continue;
+        }
+
+        payloads.push(payload);
+        addresses.push(entry.address);
+    }
+
+    return Promise.all(payloads.map(function(payload, i) {
+        return payload["legacy"] ? true : verify_rating(addresses[i], payload);
+    })).then(function(verified) {
+        var latest = {};
+        var sum = 0;
+
+        payloads.forEach(function(payload, i) {
+            //-- Unsigned votes have no key, each one counts
+            var key = payload["legacy"] ? "legacy:" + i : payload["key"];
+
+            if(verified[i] === null) {
+                rating["unverified"] += 1;
+                return;
+            }
+
+            if(!verified[i]) {
+                rating["rejected"] += 1;
+                return;
+            }
+
+            if(latest.hasOwnProperty(key)) {
+                rating["superseded"] += 1;
+                if(latest[key]["timestamp"] > payload["timestamp"]) {
+                    return;
+                }
+            }
+
+            latest[key] = payload;
+        });
+
+        for(var key in latest) {
+            rating[latest[key]["rating"]] += 1;
+            rating["total"] += 1;
+            sum += latest[key]["rating"];
+
+            if(latest[key]["review"]) {
+                rating["reviews"].push({
+                    "rating" : latest[key]["rating"],
+                    "timestamp" : latest[key]["timestamp"],
+                    "title" : latest[key]["review"]["title"],
+                    "body" : latest[key]["review"]["body"],
+                    "spoiler" : latest[key]["review"]["spoiler"]
+                });
+            }
+        }
+
+        //-- Newest reviews first
+        rating["reviews"].sort(function(a, b) {
+            return b["timestamp"] - a["timestamp"];
+        });
+
+        rating["avg"] = rating["total"] ? sum / rating["total"] : 0;
+
+        return rating;
+    });
+}
+
+//-- Reads and merges the ratings kept under one address or a list of them
+function get_rating(book_addrs, callback) {
+    if(!Array.isArray(book_addrs)) {
+        book_addrs = [book_addrs];
+    }
+
+    rating_store(function(store) {
+        Promise.all(book_addrs.map(function(book_addr) {
+            return new Promise(function(resolve) {
+                store.fetch(book_addr, function(error, entries) {
+                    if(error) {
+                        console.log(error);
+                        resolve([]);
+                        return;
+                    }
+
+                    //-- Unsigned votes only count from the path-based pools and from before
+                    //   RATING_LEGACY_CUTOFF. Only the local store's timestamps are set by the
+                    //   server, IOTA ones are whatever the sender put in the transaction
+                    entries.forEach(function(entry) {
+                        entry.address = book_addr;
+                        entry.legacy = legacy_addresses.hasOwnProperty(book_addr) &&
+                            store === local_store &&
+                            typeof entry.timestamp === 'number' &&
+                            entry.timestamp < RATING_LEGACY_CUTOFF;
+                    });
+                    resolve(entries);
+                });
+            });
+        })).then(function(lists) {
+            return aggregate_rating([].concat.apply([], lists));
+        }).then(callback);
+    });
+}
+
+//-- Sign a vote (1 to 5) and an optional review { title, body, spoiler }
+//   with the reader's key and send it to the configured store
+function push_rating(book_addr, value, review, callback) {
+    sign_rating(book_addr, value, review).then(function(message) {
+        rating_store(function(store) {
+            store.send(book_addr, message, function(error) {
+                if(error) {
+                    console.log(error);
+                }
+
+                if(callback) callback(error);
+            });
+        });
+    }, function(error) {
+        console.log(error);
+        if(callback) callback(error);
+    });
+}
@@ -0,0 +1,140 @@
+//-- Bookmarks of one book, { id, cfi, label, createdAt, chapter, snippet },
+//   saved to localStorage on every change and reloaded when another tab changes them
+EPUBJS.reader.BookmarkStore = function(key, initial) {
+	var stored = null;
+
+	this.key = key;
+	this.bookmarks = [];
+
+	if(localStorage) {
+		try {
+			stored = JSON.parse(localStorage.getItem(key));
+		} catch (e) { // parsing error of localStorage
+			stored = null;
+		}
+	}
+
+	this.bookmarks = (stored || initial || []).map(this.normalize);
+
+	if(!stored) {
+		this.save();
+	}
+
+	this.onStorage = this.onStorage.bind(this);
+	window.addEventListener("storage", this.onStorage, false);
+};
+
+//-- Bookmarks used to be bare cfi strings, and didn't have ids before the store
+EPUBJS.reader.BookmarkStore.prototype.normalize = function(bookmark) {
+	if(typeof bookmark === "string") {
+		bookmark = { cfi: bookmark, label: "", createdAt: null, chapter: "", snippet: "" };
+	}
+
+	if(!bookmark.id) {
+		bookmark.id = EPUBJS.core.uuid();
+	}
+
+	return bookmark;
+};
+
+EPUBJS.reader.BookmarkStore.prototype.save = function() {
+	if(!localStorage) return;
+
+	localStorage.setItem(this.key, JSON.stringify(this.bookmarks));
+};
+
+//-- Another tab changed the bookmarks
+EPUBJS.reader.BookmarkStore.prototype.onStorage = function(e) {
+	var bookmarks;
+
+	if(e.key !== this.key) return;
+
+	try {
+		bookmarks = JSON.parse(e.newValue) || [];
+	} catch (err) {
+		return;
+	}
+
+	this.bookmarks = bookmarks.map(this.normalize);
+	this.trigger("changed", this.bookmarks);
+};
+
+EPUBJS.reader.BookmarkStore.prototype.indexOf = function(id) {
+	for(var i = 0; i < this.bookmarks.length; i++) {
+		if(this.bookmarks[i].id === id) return i;
+	}
+	return -1;
+};
+
+EPUBJS.reader.BookmarkStore.prototype.get = function(id) {
+	var index = this.indexOf(id);
+	return index === -1 ? undefined : this.bookmarks[index];
+};
+
+EPUBJS.reader.BookmarkStore.prototype.find = function(cfi) {
+	for(var i = 0; i < this.bookmarks.length; i++) {
+		if(this.bookmarks[i].cfi === cfi) return this.bookmarks[i];
+	}
+};
+
+EPUBJS.reader.BookmarkStore.prototype.add = function(bookmark) {
+	bookmark = this.normalize(bookmark);
+
+	this.bookmarks.push(bookmark);
+	this.save();
+	this.trigger("added", bookmark);
+
+	return bookmark;
+};
+
+EPUBJS.reader.BookmarkStore.prototype.update = function(id, changes) {
+	var bookmark = this.get(id);
+	if(!bookmark) return;
+
+	for(var key in changes) {
+		if(changes.hasOwnProperty(key) && key !== "id") {
+			bookmark[key] = changes[key];
+		}
+	}
+
+	this.save();
+	this.trigger("updated", bookmark);
+
+	return bookmark;
+};
+
+EPUBJS.reader.BookmarkStore.prototype.remove = function(id) {
+	var index = this.indexOf(id);
+	var bookmark;
+	if(index === -1) return;
+
+	bookmark = this.bookmarks.splice(index, 1)[0];
+	this.save();
+	this.trigger("removed", bookmark);
+
+	return bookmark;
+};
+
+EPUBJS.reader.BookmarkStore.prototype.clear = function() {
+	this.bookmarks = [];
+	this.save();
+	this.trigger("changed", this.bookmarks);
+};
+
+//-- A sorted copy, "position" is reading order and "date" is newest first
+EPUBJS.reader.BookmarkStore.prototype.list = function(order) {
+	var epubcfi = new ePub.CFI();
+
+	return this.bookmarks.slice().sort(function(a, b) {
+		if(order === "date") {
+			return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+		}
+		return epubcfi.compare(a.cfi, b.cfi);
+	});
+};
+
+EPUBJS.reader.BookmarkStore.prototype.destroy = function() {
+	window.removeEventListener("storage", this.onStorage, false);
+};
+
+RSVP.EventTarget.mixin(EPUBJS.reader.BookmarkStore.prototype);
@@ -4,9 +4,11 @@ EPUBJS.reader.BookmarksController = function() {
 	var rendition = this.rendition;
 
 	var $bookmarks = $("#bookmarksView"),
-			$list = $bookmarks.find("#bookmarks");
+			$list = $bookmarks.find("#bookmarks"),
+			$order = $bookmarks.find("#bookmarks-order");
 
-	var docfrag = document.createDocumentFragment();
+	//-- "position" or "date", see EPUBJS.reader.BookmarkStore.prototype.list
+	var order = reader.settings.bookmarksOrder || "position";
 
 	var show = function() {
 		$bookmarks.show();
@@ -16,58 +18,134 @@ EPUBJS.reader.BookmarksController = function() {
 		$bookmarks.hide();
 	};
 
-	var counter = 0;
+	//-- Bookmarks migrated from bare cfis have no chapter yet
+	var chapterOf = function(bookmark) {
+		var section, item;
 
-	var createBookmarkItem = function(cfi) {
-		var listitem = document.createElement("li"),
-				link = document.createElement("a");
-
-		listitem.id = "bookmark-"+counter;
-		listitem.classList.add('list_item');
+		if(bookmark.chapter) return bookmark.chapter;
 
-		var spineItem = book.spine.get(cfi);
-		var tocItem;
-		if (spineItem.index in book.navigation.toc) {
-			tocItem = book.navigation.toc[spineItem.index];
-			link.textContent = tocItem.label;
-		} else {
-			link.textContent = cfi;
-		}
+		section = book.spine.get(bookmark.cfi);
+		item = section && book.navigation && book.navigation.get(section.href);
+		return item ? item.label.trim() : "";
+	};
 
-		link.href = cfi;
+	var createBookmarkItem = function(bookmark) {
+		var listitem = document.createElement("li"),
+				link = document.createElement("a"),
+				chapter = document.createElement("span"),
+				snippet = document.createElement("p"),
+				date = document.createElement("span"),
+				rename = document.createElement("a"),
+				remove = document.createElement("a");
+
+		listitem.id = "bookmark-" + bookmark.id;
+		listitem.classList.add('list_item');
 
+		link.textContent = bookmark.label || chapterOf(bookmark) || bookmark.cfi;
+		link.href = bookmark.cfi;
 		link.classList.add('bookmark_link');
 
 		link.addEventListener("click", function(event){
-				var cfi = this.getAttribute('href');
-				rendition.display(cfi);
+				rendition.display(bookmark.cfi);
 				event.preventDefault();
 		}, false);
 
-		listitem.appendChild(link);
+		chapter.textContent = bookmark.label ? chapterOf(bookmark) : "";
+		chapter.classList.add('bookmark_chapter');
+
+		snippet.textContent = bookmark.snippet;
+		snippet.classList.add('bookmark_snippet');
+
+		date.textContent = bookmark.createdAt ? new Date(bookmark.createdAt).toLocaleString() : "";
+		date.classList.add('bookmark_date');
+
+		rename.textContent = "Rename";
+		rename.href = "#";
+		rename.classList.add('bookmark_action');
+		rename.addEventListener("click", function(event){
+			renameBookmark(bookmark, listitem);
+			event.preventDefault();
+		}, false);
 
-		counter++;
+		remove.textContent = "Delete";
+		remove.href = "#";
+		remove.classList.add('bookmark_action');
+		remove.addEventListener("click", function(event){
+			reader.removeBookmark(bookmark.cfi);
+			event.preventDefault();
+		}, false);
+
+		listitem.appendChild(link);
+		listitem.appendChild(chapter);
+		if(bookmark.snippet) listitem.appendChild(snippet);
+		listitem.appendChild(date);
+		listitem.appendChild(rename);
+		listitem.appendChild(remove);
 
 		return listitem;
 	};
 
-	this.settings.bookmarks.forEach(function(cfi) {
-		var bookmark = createBookmarkItem(cfi);
-		docfrag.appendChild(bookmark);
-	});
+	//-- Swap the label for an input, Enter saves and Escape cancels
+	var renameBookmark = function(bookmark, listitem) {
+		var $item = $(listitem);
+		var $input = $("<input type='text' class='bookmark_label'>").val(bookmark.label).attr("placeholder", chapterOf(bookmark));
+		var done = false;
+
+		var save = function() {
+			if(done) return;
+			done = true;
+			reader.renameBookmark(bookmark.id, $input.val().trim());
+		};
+
+		var cancel = function() {
+			if(done) return;
+			done = true;
+			$input.remove();
+			$item.children().show();
+		};
+
+		$item.children().hide();
+		$item.prepend($input);
+		$input.focus();
+
+		$input.on("keydown", function(event) {
+			if(event.keyCode === 13) {
+				save();
+			} else if(event.keyCode === 27) {
+				cancel();
+			}
+		});
+
+		$input.on("blur", save);
+	};
 
-	$list.append(docfrag);
+	//-- The list is always redrawn from the store, so it can't drift from it
+	var render = function() {
+		var docfrag = document.createDocumentFragment();
 
-	this.on("reader:bookmarked", function(cfi) {
-		var item = createBookmarkItem(cfi);
-		$list.append(item);
-	});
+		reader.bookmarks.list(order).forEach(function(bookmark) {
+			docfrag.appendChild(createBookmarkItem(bookmark));
+		});
 
-	this.on("reader:unbookmarked", function(index) {
-		var $item = $("#bookmark-"+index);
-		$item.remove();
+		$list.empty();
+		$list.append(docfrag);
+	};
+
+	$order.val(order).on("change", function() {
+		order = reader.settings.bookmarksOrder = $order.val();
+		render();
 	});
 
+	render();
+
+	this.on("reader:bookmarked", render);
+	this.on("reader:unbookmarked", render);
+	this.on("reader:bookmarkUpdated", render);
+	this.on("reader:bookmarksChanged", render);
+
+	//-- Chapters of migrated bookmarks can be shown once the navigation is there
+	book.loaded.navigation.then(render);
+
 	return {
 		"show" : show,
 		"hide" : hide
@@ -63,40 +63,44 @@ EPUBJS.reader.ControlsController = function(book) {
 		reader.SettingsController.show();
 	});
 
+	//-- Check if the current page is bookmarked
+	var updateBookmark = function() {
+		var bookmarked = reader.currentLocationCfi ? reader.isBookmarked(reader.currentLocationCfi) : -1;
+
+		if(bookmarked === -1) { //-- Not bookmarked
+			$bookmark
+				.removeClass("icon-bookmark")
+				.addClass("icon-bookmark-empty");
+		} else { //-- Bookmarked
+			$bookmark
+				.addClass("icon-bookmark")
+				.removeClass("icon-bookmark-empty");
+		}
+	};
+
 	$bookmark.on("click", function() {
 		var cfi = reader.rendition.currentLocation().start.cfi;
 		var bookmarked = reader.isBookmarked(cfi);
 
 		if(bookmarked === -1) { //-- Add bookmark
 			reader.addBookmark(cfi);
-			$bookmark
-				.addClass("icon-bookmark")
-				.removeClass("icon-bookmark-empty");
 		} else { //-- Remove Bookmark
 			reader.removeBookmark(cfi);
-			$bookmark
-				.removeClass("icon-bookmark")
-				.addClass("icon-bookmark-empty");
 		}
 
 	});
 
+	//-- Bookmarks also change from the panel and from other tabs
+	reader.on("reader:bookmarked", updateBookmark);
+	reader.on("reader:unbookmarked", updateBookmark);
+	reader.on("reader:bookmarksChanged", updateBookmark);
+
 	rendition.on('relocated', function(location){
 		var cfi = location.start.cfi;
 		var cfiFragment = "#" + cfi;
-		//-- Check if bookmarked
-		var bookmarked = reader.isBookmarked(cfi);
-		if(bookmarked === -1) { //-- Not bookmarked
-			$bookmark
-				.removeClass("icon-bookmark")
-				.addClass("icon-bookmark-empty");
-		} else { //-- Bookmarked
-			$bookmark
-				.addClass("icon-bookmark")
-				.removeClass("icon-bookmark-empty");
-		}
 
 		reader.currentLocationCfi = cfi;
+		updateBookmark();
 
 		// Update the History Location
 		if(reader.settings.history &&
@@ -0,0 +1,238 @@
+EPUBJS.reader.endOfBook = {};
+
+EPUBJS.reader.endOfBook.CATALOG_API = "/api/books";
+
+//-- How many "books like this" are offered
+EPUBJS.reader.endOfBook.SIMILAR_COUNT = 3;
+
+//-- Other catalog books by the same author first, then ones in the same language
+EPUBJS.reader.endOfBook.similar = function(books, current, count) {
+	var score = function(book) {
+		return (current.creator && book.creator === current.creator ? 2 : 0) +
+			(current.language && book.language === current.language ? 1 : 0);
+	};
+
+	return books.filter(function(book) {
+		return book.id !== current.id && score(book) > 0;
+	}).sort(function(a, b) {
+		return score(b) - score(a) || (a.title || "").localeCompare(b.title || "");
+	}).slice(0, count);
+};
+
+//-- Where to send someone the book is shared with: its catalog page, or the url it was opened from.
+//   Files opened from disk have neither
+EPUBJS.reader.endOfBook.shareUrl = function(reader, entry) {
+	if(entry) {
+		return window.location.origin + entry.href;
+	}
+	if(!reader.fileHash) {
+		return window.location.href.split("#")[0];
+	}
+};
+
+EPUBJS.reader.EndOfBookController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+	var endOfBook = EPUBJS.reader.endOfBook;
+
+	var $modal = $("#end-of-book"),
+			$overlay = $(".overlay"),
+			$rating = $("#end-rating"),
+			$rate = $("#rate"),
+			$reviewTitle = $("#review-title"),
+			$reviewBody = $("#review-body"),
+			$reviewSpoiler = $("#review-spoiler"),
+			$submit = $("#end-rating-submit"),
+			$thanks = $("#end-rating-thanks"),
+			$error = $("#end-rating-error"),
+			$similar = $("#end-similar"),
+			$similarList = $("#end-similar-list"),
+			$share = $("#end-share"),
+			$shareNative = $("#end-share-native"),
+			$shareEmail = $("#end-share-email"),
+			$shareTwitter = $("#end-share-twitter"),
+			$shareFacebook = $("#end-share-facebook"),
+			$shareCopy = $("#end-share-copy");
+
+	//-- The arrow that turns to the next page, the left one in right to left books
+	var $forward = book.package.metadata.direction === "rtl" ? $("#prev") : $("#next");
+
+	var title = book.package.metadata.title;
+	var shareUrl;
+	var atEnd = false;
+
+	//-- The catalog is only asked the first time the screen is shown
+	var prepared;
+
+	var renderSimilar = function(books) {
+		$similarList.empty();
+
+		books.forEach(function(similar) {
+			var $item = $("<li></li>");
+			var $link = $("<a></a>").attr("href", similar.href).text(similar.title);
+
+			$item.append($link);
+			if(similar.creator) {
+				$item.append($('<span class="end_similar_creator"></span>').text(similar.creator));
+			}
+			$similarList.append($item);
+		});
+
+		$similar.toggle(books.length > 0);
+	};
+
+	var renderShare = function() {
+		var text = "I just finished reading " + title;
+
+		$share.toggle(!!shareUrl);
+		if(!shareUrl) return;
+
+		$shareNative.toggle(!!navigator.share);
+		$shareCopy.toggle(!!(navigator.clipboard && navigator.clipboard.writeText));
+
+		$shareEmail.attr("href", "mailto:?subject=" + encodeURIComponent(title) +
+			"&body=" + encodeURIComponent(text + ": " + shareUrl));
+		$shareTwitter.attr("href", "https://twitter.com/intent/tweet?text=" + encodeURIComponent(text) +
+			"&url=" + encodeURIComponent(shareUrl));
+		$shareFacebook.attr("href", "https://www.facebook.com/sharer/sharer.php?u=" + encodeURIComponent(shareUrl));
+	};
+
+	//-- Find this book in the catalog by its identity, books opened from elsewhere aren't in it
+	var prepare = function() {
+		if(prepared) return prepared;
+
+		prepared = Promise.all([
+			reader.getIdentity(),
+			$.getJSON(endOfBook.CATALOG_API).then(function(books) {
+				return books;
+			}, function() {
+				return [];
+			})
+		]).then(function(results) {
+			var identity = results[0];
+			var books = results[1];
+			var entry = books.filter(function(entry) {
+				return identity && entry.identity === identity;
+			})[0];
+			var current = entry || {
+				creator: book.package.metadata.creator,
+				language: book.package.metadata.language
+			};
+
+			shareUrl = endOfBook.shareUrl(reader, entry);
+			renderSimilar(endOfBook.similar(books, current, endOfBook.SIMILAR_COUNT));
+			renderShare();
+		}).catch(function(err) {
+			console.warn(err);
+		});
+
+		return prepared;
+	};
+
+	var show = function() {
+		prepare().then(function() {
+			$modal.addClass("md-show");
+		});
+	};
+
+	var hide = function() {
+		$modal.removeClass("md-show");
+	};
+
+	//-- Shown by itself the first time the last page is reached, settings.finishedAt remembers it
+	var finish = function() {
+		if(reader.settings.finishedAt) return;
+
+		reader.settings.finishedAt = new Date().toISOString();
+		show();
+	};
+
+	var ratingFailed = function(message) {
+		$error.text(message).show();
+		$submit.prop("disabled", false);
+	};
+
+	//-- Votes of 0 don't count (see aggregate_rating in ratings.js), so a review needs stars too
+	$submit.on("click", function(e) {
+		var value = parseInt($rate.val(), 10);
+		var review = {
+			"title" : $.trim($reviewTitle.val()),
+			"body" : $.trim($reviewBody.val()),
+			"spoiler" : $reviewSpoiler.prop("checked")
+		};
+
+		e.preventDefault();
+
+		if(!(value >= 1 && value <= 5)) {
+			ratingFailed("Choose from 1 to 5 stars.");
+			return;
+		}
+
+		$error.hide();
+		$submit.prop("disabled", true);
+
+		reader.getIdentity().then(function(identity) {
+			push_rating(book_addresses(identity)[0], value, review, function(error) {
+				if(error) {
+					ratingFailed("Could not send your rating: " + (error.message || error));
+					return;
+				}
+
+				$reviewTitle.val('');
+				$reviewBody.val('');
+				$reviewSpoiler.prop("checked", false);
+
+				$rating.hide();
+				$thanks.show();
+			});
+		}).catch(function(err) {
+			ratingFailed("Could not send your rating: " + err.message);
+		});
+	});
+
+	$shareNative.on("click", function(e) {
+		navigator.share({ title: title, url: shareUrl }).catch(function(err) {
+			console.warn(err);
+		});
+		e.preventDefault();
+	});
+
+	$shareCopy.on("click", function(e) {
+		navigator.clipboard.writeText(shareUrl).then(function() {
+			$shareCopy.text("Link copied");
+		}, function(err) {
+			console.warn(err);
+		});
+		e.preventDefault();
+	});
+
+	$modal.find(".end_title").text(title);
+
+	//-- Votes couldn't be signed, say why rather than failing on submit
+	if(ratings_need_https()) {
+		$error.text(RATING_HTTPS_MESSAGE + ", open the book from an https:// address to rate it.").show();
+		$submit.prop("disabled", true);
+	}
+
+	$modal.find(".closer").on("click", hide);
+
+	$overlay.on("click", hide);
+
+	//-- Turning past the last page opens the screen again
+	$forward.on("click", function() {
+		if(atEnd) show();
+	});
+
+	rendition.on("relocated", function(location) {
+		atEnd = !!location.atEnd;
+
+		if(atEnd) {
+			finish();
+		}
+	});
+
+	return {
+		"show" : show,
+		"hide" : hide
+	};
+};
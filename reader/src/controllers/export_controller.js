@@ -0,0 +1,320 @@
+EPUBJS.reader.exporter = {};
+
+//-- Characters of text kept on each side of a quote, for TextQuoteSelector prefix and suffix
+EPUBJS.reader.exporter.QUOTE_CONTEXT = 32;
+
+//-- Characters quoted after a bookmark, which only marks a position
+EPUBJS.reader.exporter.BOOKMARK_QUOTE = 60;
+
+EPUBJS.reader.exporter.CFI_SPEC = "http://www.idpf.org/epub/linking/cfi/epub-cfi.html";
+
+//-- Notes, highlights and bookmarks of the reader as { type, cfi, item }, in reading order
+EPUBJS.reader.exporter.entries = function(reader) {
+	var epubcfi = new ePub.CFI();
+	var entries = [];
+
+	reader.settings.annotations.forEach(function(note) {
+		entries.push({ type: "note", cfi: note.anchor, item: note });
+	});
+
+	reader.settings.highlights.forEach(function(highlight) {
+		entries.push({ type: "highlight", cfi: highlight.cfiRange, item: highlight });
+	});
+
+	reader.settings.bookmarks.forEach(function(bookmark) {
+		entries.push({ type: "bookmark", cfi: bookmark.cfi, item: bookmark });
+	});
+
+	return entries.filter(function(entry) {
+		return !!entry.cfi;
+	}).sort(function(a, b) {
+		return epubcfi.compare(a.cfi, b.cfi);
+	});
+};
+
+//-- { exact, prefix, suffix } of a cfi in a loaded section document
+EPUBJS.reader.exporter.quoteIn = function(doc, cfi) {
+	var context = EPUBJS.reader.exporter.QUOTE_CONTEXT;
+	var range = new ePub.CFI(cfi).toRange(doc);
+	var body = doc.body || doc.documentElement;
+	var before = doc.createRange();
+	var all = doc.createRange();
+	var text, start, end;
+
+	all.selectNodeContents(body);
+	text = all.toString();
+
+	before.setStart(body, 0);
+	before.setEnd(range.startContainer, range.startOffset);
+	start = before.toString().length;
+
+	end = range.collapsed ?
+		start + EPUBJS.reader.exporter.BOOKMARK_QUOTE :
+		start + range.toString().length;
+
+	return {
+		exact: text.slice(start, end),
+		prefix: text.slice(Math.max(0, start - context), start),
+		suffix: text.slice(end, end + context)
+	};
+};
+
+//-- Adds the chapter label and quote of every entry, loading each section once
+EPUBJS.reader.exporter.quote = function(book, entries) {
+	var bySection = {};
+
+	entries.forEach(function(entry) {
+		var section = book.spine.get(entry.cfi);
+		if(!section) return;
+
+		(bySection[section.index] = bySection[section.index] || { section: section, entries: [] }).entries.push(entry);
+	});
+
+	return Object.keys(bySection).reduce(function(previous, index) {
+		var section = bySection[index].section;
+		var item = book.navigation && book.navigation.get(section.href);
+
+		return previous.then(function() {
+			return section.load(book.load.bind(book));
+		}).then(function() {
+			bySection[index].entries.forEach(function(entry) {
+				entry.chapter = item ? item.label.trim() : section.href;
+
+				try {
+					entry.quote = EPUBJS.reader.exporter.quoteIn(section.document, entry.cfi);
+				} catch(e) {
+					console.warn("Could not quote " + entry.cfi, e);
+				}
+			});
+
+			section.unload();
+		}, function(err) {
+			console.warn("Could not load " + section.href, err);
+		});
+	}, book.opened).then(function() {
+		return entries;
+	});
+};
+
+//-- Markdown grouped by chapter, for copying quotes into reports
+EPUBJS.reader.exporter.markdown = function(meta, entries) {
+	var lines = ["# " + meta.title];
+	var chapter;
+
+	if(meta.creator) {
+		lines.push("", "*" + meta.creator + "*");
+	}
+
+	entries.forEach(function(entry) {
+		var quoted = entry.quote ? entry.quote.exact : (entry.item.text || "");
+		var exact = quoted.replace(/\s+/g, " ").trim();
+
+		if(entry.chapter !== chapter) {
+			chapter = entry.chapter;
+			lines.push("", "## " + (chapter || "Untitled"));
+		}
+
+		lines.push("");
+
+		if(entry.type === "bookmark") {
+			lines.push("- Bookmark" + (entry.item.label ? " \"" + entry.item.label + "\"" : "") + ": " + (exact ? exact + "..." : entry.cfi));
+			return;
+		}
+
+		if(exact) {
+			lines.push("> " + exact);
+		}
+
+		if(entry.type === "note" && entry.item.body) {
+			if(exact) lines.push("");
+			lines.push(entry.item.body);
+		}
+	});
+
+	return lines.join("\n") + "\n";
+};
+
+//-- The reader settings as they're kept in localStorage
+EPUBJS.reader.exporter.json = function(settings) {
+	return JSON.stringify(settings, null, 2);
+};
+
+//-- W3C Web Annotation Data Model, one Annotation per entry in an AnnotationCollection
+EPUBJS.reader.exporter.webAnnotation = function(meta, source, entries) {
+	var motivations = {
+		"note" : "commenting",
+		"highlight" : "highlighting",
+		"bookmark" : "bookmarking"
+	};
+
+	var items = entries.map(function(entry) {
+		var item = entry.item;
+		var selectors = [{
+			"type" : "FragmentSelector",
+			"conformsTo" : EPUBJS.reader.exporter.CFI_SPEC,
+			"value" : entry.cfi
+		}];
+		var annotation = {
+			"type" : "Annotation",
+			"motivation" : motivations[entry.type],
+			"target" : {
+				"source" : source,
+				"selector" : selectors
+			}
+		};
+
+		if(entry.quote) {
+			selectors.push({
+				"type" : "TextQuoteSelector",
+				"exact" : entry.quote.exact,
+				"prefix" : entry.quote.prefix,
+				"suffix" : entry.quote.suffix
+			});
+		}
+
+		//-- Imports merge on the id, see EPUBJS.reader.ImportController
+		if(item.id) {
+			annotation["id"] = "urn:uuid:" + item.id;
+		}
+
+		if(entry.type === "note") {
+			if(item.annotatedAt) {
+				annotation["created"] = new Date(item.annotatedAt).toISOString();
+			}
+			annotation["body"] = {
+				"type" : "TextualBody",
+				"value" : item.body,
+				"format" : "text/plain"
+			};
+		}
+
+		if(entry.type === "bookmark") {
+			if(item.createdAt) {
+				annotation["created"] = item.createdAt;
+			}
+			if(item.label) {
+				annotation["body"] = {
+					"type" : "TextualBody",
+					"value" : item.label,
+					"purpose" : "describing"
+				};
+			}
+		}
+
+		if(entry.type === "highlight") {
+			annotation["created"] = item.createdAt;
+			annotation["target"]["styleClass"] = item.style + "-" + item.color;
+		}
+
+		return annotation;
+	});
+
+	return JSON.stringify({
+		"@context" : "http://www.w3.org/ns/anno.jsonld",
+		"type" : "AnnotationCollection",
+		"label" : meta.title,
+		"total" : items.length,
+		"first" : {
+			"type" : "AnnotationPage",
+			"items" : items
+		}
+	}, null, 2);
+};
+
+EPUBJS.reader.exporter.download = function(filename, type, text) {
+	var url = URL.createObjectURL(new Blob([text], { type: type }));
+	var link = document.createElement("a");
+
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+
+	setTimeout(function() {
+		URL.revokeObjectURL(url);
+	}, 0);
+};
+
+EPUBJS.reader.ExportController = function(book) {
+	var reader = this;
+	var exporter = EPUBJS.reader.exporter;
+
+	var $export = $("#export"),
+			$menu = $("#export-menu");
+
+	var formats = {
+		"markdown" : { extension: "md", type: "text/markdown" },
+		"json" : { extension: "json", type: "application/json" },
+		"webannotation" : { extension: "jsonld", type: "application/ld+json" }
+	};
+
+	var show = function() {
+		$menu.addClass("shown");
+	};
+
+	var hide = function() {
+		$menu.removeClass("shown");
+	};
+
+	var filename = function(meta, format) {
+		var name = (meta.title || "book").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-");
+		return (name || "book") + "-annotations." + formats[format].extension;
+	};
+
+	//-- What the annotations target, a file opened from disk only has its hash
+	var source = function() {
+		if(reader.fileHash) {
+			return "urn:" + reader.fileHash;
+		}
+		return new URL(reader.settings.bookPath, window.location.href).toString();
+	};
+
+	//-- Resolves with the text of the export in one of the formats above
+	var build = function(format) {
+		var entries = exporter.entries(reader);
+
+		if(format === "json") {
+			return Promise.resolve(exporter.json(reader.settings));
+		}
+
+		return Promise.all([book.loaded.metadata, exporter.quote(book, entries)]).then(function(loaded) {
+			var meta = loaded[0];
+
+			if(format === "markdown") {
+				return exporter.markdown(meta, entries);
+			}
+
+			return exporter.webAnnotation(meta, source(), entries);
+		});
+	};
+
+	var save = function(format) {
+		Promise.all([book.loaded.metadata, build(format)]).then(function(built) {
+			exporter.download(filename(built[0], format), formats[format].type, built[1]);
+		}).catch(function(err) {
+			console.error(err);
+		});
+	};
+
+	$export.on("click", function(e) {
+		if($menu.hasClass("shown")) {
+			hide();
+		} else {
+			show();
+		}
+		e.preventDefault();
+	});
+
+	$menu.find("[data-format]").on("click", function(e) {
+		save($(this).data("format"));
+		hide();
+		e.preventDefault();
+	});
+
+	return {
+		"show" : show,
+		"hide" : hide,
+		"build" : build
+	};
+};
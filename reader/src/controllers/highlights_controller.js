@@ -0,0 +1,239 @@
+EPUBJS.reader.HighlightsController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+
+	var $highlightsView = $("#highlightsView"),
+			$list = $highlightsView.find("#highlights"),
+			$popover = $("#selection-popover"),
+			$main = $("#main");
+
+	//-- Colours offered in the selection popover
+	var COLORS = {
+		"yellow" : "#ffeb3b",
+		"green" : "#8bc34a",
+		"blue" : "#64b5f6",
+		"pink" : "#f48fb1"
+	};
+	var UNDERLINE_COLOR = "blue";
+
+	var selection = null;
+	var epubcfi = new ePub.CFI();
+
+	var show = function() {
+		$highlightsView.show();
+	};
+
+	var hide = function() {
+		$highlightsView.hide();
+	};
+
+	//-- Attach to the annotation layer, which draws it again every time its section renders
+	var apply = function(highlight) {
+		var color = COLORS[highlight.color] || COLORS.yellow;
+
+		if(highlight.style === "underline") {
+			rendition.annotations.underline(highlight.cfiRange, {}, null, "reader-ul", {
+				"stroke" : color,
+				"stroke-opacity" : "0.9"
+			});
+		} else {
+			rendition.annotations.highlight(highlight.cfiRange, {}, null, "reader-hl", {
+				"fill" : color,
+				"fill-opacity" : "0.4"
+			});
+		}
+	};
+
+	var unapply = function(highlight) {
+		rendition.annotations.remove(highlight.cfiRange, highlight.style);
+	};
+
+	var chapterTitle = function(cfiRange) {
+		var section = book.spine.get(cfiRange);
+		var item = section && book.navigation && book.navigation.get(section.href);
+		return item ? item.label.trim() : "";
+	};
+
+	var createHighlightItem = function(highlight) {
+		var listitem = document.createElement("li"),
+				link = document.createElement("a"),
+				swatch = document.createElement("span"),
+				chapter = document.createElement("span"),
+				remove = document.createElement("a");
+
+		listitem.classList.add("list_item");
+
+		swatch.classList.add("swatch", highlight.style);
+		swatch.style.borderColor = COLORS[highlight.color] || COLORS.yellow;
+		if(highlight.style !== "underline") {
+			swatch.style.backgroundColor = swatch.style.borderColor;
+		}
+
+		link.textContent = highlight.text;
+		link.href = "#" + highlight.cfiRange;
+		link.classList.add("highlight_link");
+		link.addEventListener("click", function(event){
+			rendition.display(highlight.cfiRange);
+			event.preventDefault();
+		}, false);
+
+		chapter.textContent = chapterTitle(highlight.cfiRange);
+		chapter.classList.add("highlight_chapter");
+
+		remove.textContent = "Remove";
+		remove.href = "#";
+		remove.classList.add("highlight_remove");
+		remove.addEventListener("click", function(event){
+			reader.removeHighlight(highlight.cfiRange);
+			event.preventDefault();
+		}, false);
+
+		listitem.appendChild(swatch);
+		listitem.appendChild(link);
+		listitem.appendChild(chapter);
+		listitem.appendChild(remove);
+
+		return listitem;
+	};
+
+	//-- List in reading order
+	var render = function() {
+		var docfrag = document.createDocumentFragment();
+
+		reader.settings.highlights.slice().sort(function(a, b) {
+			return epubcfi.compare(a.cfiRange, b.cfiRange);
+		}).forEach(function(highlight) {
+			docfrag.appendChild(createHighlightItem(highlight));
+		});
+
+		$list.empty();
+		$list.append(docfrag);
+	};
+
+	//-- Selection popover
+
+	var hidePopover = function() {
+		selection = null;
+		$popover.removeClass("shown");
+	};
+
+	var showPopover = function(cfiRange, contents) {
+		var win = contents.window;
+		var range = win.getSelection().rangeCount && win.getSelection().getRangeAt(0);
+		var rect, frame, main, top;
+
+		if(!range || range.collapsed) {
+			hidePopover();
+			return;
+		}
+
+		selection = {
+			cfiRange: cfiRange,
+			text: range.toString(),
+			contents: contents
+		};
+
+		rect = range.getBoundingClientRect();
+		frame = win.frameElement.getBoundingClientRect();
+		main = $main[0].getBoundingClientRect();
+
+		$popover.addClass("shown");
+
+		top = frame.top + rect.top - main.top - $popover.outerHeight() - 8;
+		if(top < 0) {
+			top = frame.top + rect.bottom - main.top + 8;
+		}
+
+		$popover.css({
+			top: top,
+			left: Math.max(0, frame.left + rect.left - main.left + rect.width / 2 - $popover.outerWidth() / 2)
+		});
+	};
+
+	var highlightSelection = function(color, style) {
+		if(!selection) return;
+
+		reader.addHighlight({
+			cfiRange: selection.cfiRange,
+			text: selection.text,
+			color: color,
+			style: style,
+			createdAt: new Date().toISOString()
+		});
+
+		selection.contents.window.getSelection().removeAllRanges();
+		hidePopover();
+	};
+
+	var copySelection = function() {
+		var text, doc;
+
+		if(!selection) return;
+
+		text = selection.text;
+		doc = selection.contents.document;
+
+		if(navigator.clipboard && navigator.clipboard.writeText) {
+			navigator.clipboard.writeText(text).catch(function() {
+				doc.execCommand("copy");
+			});
+		} else {
+			doc.execCommand("copy");
+		}
+
+		hidePopover();
+	};
+
+	$popover.find("[data-color]").each(function() {
+		$(this).css("background-color", COLORS[$(this).data("color")]);
+	});
+
+	$popover.on("mousedown", function(event) {
+		//-- Keep the selection in the book
+		event.preventDefault();
+	});
+
+	$popover.find("[data-color]").on("click", function(event) {
+		highlightSelection($(this).data("color"), "highlight");
+		event.preventDefault();
+	});
+
+	$popover.find("[data-style=underline]").on("click", function(event) {
+		highlightSelection(UNDERLINE_COLOR, "underline");
+		event.preventDefault();
+	});
+
+	$popover.find("[data-action=copy]").on("click", function(event) {
+		copySelection();
+		event.preventDefault();
+	});
+
+	rendition.on("selected", showPopover);
+	rendition.on("relocated", hidePopover);
+	rendition.on("click", function() {
+		//-- The selected event fires after mouseup, so wait for it before deciding
+		setTimeout(function() {
+			if(selection && selection.contents.window.getSelection().isCollapsed) {
+				hidePopover();
+			}
+		}, 0);
+	});
+
+	reader.settings.highlights.forEach(apply);
+	render();
+
+	reader.on("reader:highlighted", function(highlight) {
+		apply(highlight);
+		render();
+	});
+
+	reader.on("reader:unhighlighted", function(highlight) {
+		unapply(highlight);
+		render();
+	});
+
+	return {
+		"show" : show,
+		"hide" : hide
+	};
+};
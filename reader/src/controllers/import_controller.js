@@ -0,0 +1,460 @@
+EPUBJS.reader.importer = {};
+
+//-- Entries { type, cfi, item, quote } of a file made by EPUBJS.reader.exporter,
+//   either the settings JSON or a Web Annotation collection, page, list or single annotation
+EPUBJS.reader.importer.parse = function(text) {
+	var data = JSON.parse(text);
+	var items;
+
+	if(data && (data.annotations || data.bookmarks || data.highlights)) {
+		return EPUBJS.reader.importer.fromSettings(data);
+	}
+
+	if(data && data.first && data.first.items) {
+		items = data.first.items;
+	} else if(data && data.items) {
+		items = data.items;
+	} else if(Array.isArray(data)) {
+		items = data;
+	} else if(data && data.type === "Annotation") {
+		items = [data];
+	} else {
+		throw new Error("Not an annotation file");
+	}
+
+	return items.map(EPUBJS.reader.importer.fromWebAnnotation).filter(function(entry) {
+		return !!entry;
+	});
+};
+
+EPUBJS.reader.importer.fromSettings = function(settings) {
+	var entries = [];
+
+	(settings.annotations || []).forEach(function(note) {
+		if(note && note.anchor) {
+			entries.push({ type: "note", cfi: note.anchor, item: note });
+		}
+	});
+
+	(settings.highlights || []).forEach(function(highlight) {
+		if(highlight && highlight.cfiRange) {
+			entries.push({
+				type: "highlight",
+				cfi: highlight.cfiRange,
+				item: highlight,
+				quote: highlight.text ? { exact: highlight.text } : undefined
+			});
+		}
+	});
+
+	(settings.bookmarks || []).forEach(function(bookmark) {
+		if(typeof bookmark === "string") {
+			bookmark = { cfi: bookmark };
+		}
+		if(bookmark && bookmark.cfi) {
+			entries.push({ type: "bookmark", cfi: bookmark.cfi, item: bookmark });
+		}
+	});
+
+	return entries;
+};
+
+EPUBJS.reader.importer.fromWebAnnotation = function(annotation) {
+	var types = {
+		"commenting" : "note",
+		"highlighting" : "highlight",
+		"bookmarking" : "bookmark"
+	};
+	var target = annotation && annotation.target;
+	var selectors = target && target.selector;
+	var type = types[annotation && annotation.motivation] || "note";
+	var id = annotation && typeof annotation.id === "string" ? annotation.id.replace(/^urn:uuid:/, "") : undefined;
+	var created = new Date(annotation && annotation.created);
+	var cfi, quote, item, style;
+
+	if(!selectors) return;
+
+	//-- Missing or unreadable dates become the time of the import, the exporter needs a real date
+	if(isNaN(created.getTime())) {
+		created = new Date();
+	}
+
+	[].concat(selectors).forEach(function(selector) {
+		if(selector.type === "FragmentSelector" && /^epubcfi\(/.test(selector.value)) {
+			cfi = selector.value;
+		}
+		if(selector.type === "TextQuoteSelector" && selector.exact) {
+			quote = {
+				exact: selector.exact,
+				prefix: selector.prefix || "",
+				suffix: selector.suffix || ""
+			};
+		}
+	});
+
+	if(!cfi && !quote) return;
+
+	if(type === "note") {
+		item = {
+			id: id,
+			annotatedAt: created,
+			anchor: cfi,
+			body: annotation.body && annotation.body.value || annotation.bodyValue || ""
+		};
+	} else if(type === "highlight") {
+		//-- styleClass is "<style>-<color>", see EPUBJS.reader.exporter.webAnnotation
+		style = (target.styleClass || "highlight-yellow").split("-");
+		item = {
+			id: id,
+			cfiRange: cfi,
+			text: quote ? quote.exact : "",
+			style: style[0] === "underline" ? "underline" : "highlight",
+			color: style[1] || "yellow",
+			createdAt: created.toISOString()
+		};
+	} else {
+		item = {
+			id: id,
+			cfi: cfi,
+			label: annotation.body && annotation.body.value || "",
+			createdAt: created.toISOString()
+		};
+	}
+
+	return { type: type, cfi: cfi, item: item, quote: quote };
+};
+
+//-- Text of a section and where each of its text nodes starts in it
+EPUBJS.reader.importer.sectionText = function(doc) {
+	var body = doc.body || doc.documentElement;
+	var walker = doc.createTreeWalker(body, NodeFilter.SHOW_TEXT, null, false);
+	var nodes = [];
+	var text = "";
+	var node;
+
+	while ((node = walker.nextNode())) {
+		nodes.push({ node: node, start: text.length });
+		text += node.data;
+	}
+
+	return { text: text, nodes: nodes };
+};
+
+//-- Text node and offset of a position in the section text
+EPUBJS.reader.importer.position = function(nodes, offset) {
+	for(var i = nodes.length - 1; i >= 0; i--) {
+		if(nodes[i].start <= offset) {
+			return {
+				node: nodes[i].node,
+				offset: Math.min(offset - nodes[i].start, nodes[i].node.data.length)
+			};
+		}
+	}
+};
+
+//-- Start and end of a quote in a text, with its context if that still matches, or null
+EPUBJS.reader.importer.find = function(text, quote) {
+	var prefix = quote.prefix || "";
+	var pos = text.indexOf(prefix + quote.exact + (quote.suffix || ""));
+
+	if(pos != -1) {
+		pos += prefix.length;
+	} else {
+		pos = text.indexOf(quote.exact);
+	}
+
+	return pos == -1 ? null : { start: pos, end: pos + quote.exact.length };
+};
+
+EPUBJS.reader.importer.normalize = function(str) {
+	return str.replace(/\s+/g, " ").trim();
+};
+
+/**
+ * Checks every entry against the book, and re-anchors the ones whose cfi doesn't resolve,
+ * or points at different text than it quotes, by looking up the quote.
+ * Resolves with { anchored, orphans }, anchored entries have `cfi` set to where they are now.
+ */
+EPUBJS.reader.importer.anchor = function(book, entries) {
+	var importer = EPUBJS.reader.importer;
+	var loaded = {};
+	var sections = [];
+	var anchored = [];
+	var orphans = [];
+
+	book.spine.each(function(section) {
+		sections.push(section);
+	});
+
+	var load = function(section) {
+		if(!loaded[section.index]) {
+			loaded[section.index] = section.load(book.load.bind(book)).then(function() {
+				return {
+					section: section,
+					doc: section.document,
+					text: importer.sectionText(section.document)
+				};
+			});
+		}
+		return loaded[section.index];
+	};
+
+	var resolves = function(entry) {
+		var section = entry.cfi && book.spine.get(entry.cfi);
+
+		if(!section) return Promise.resolve(false);
+
+		return load(section).then(function(content) {
+			var range = new ePub.CFI(entry.cfi).toRange(content.doc);
+
+			if(!range) return false;
+			if(!entry.quote || range.collapsed) return true;
+
+			return importer.normalize(range.toString()) === importer.normalize(entry.quote.exact);
+		}).catch(function() {
+			return false;
+		});
+	};
+
+	var anchorIn = function(content, entry) {
+		var found = importer.find(content.text.text, entry.quote);
+		var start, end, range;
+
+		if(!found) return;
+
+		start = importer.position(content.text.nodes, found.start);
+		end = entry.type === "bookmark" ? start : importer.position(content.text.nodes, found.end);
+
+		range = content.doc.createRange();
+		range.setStart(start.node, start.offset);
+		range.setEnd(end.node, end.offset);
+
+		return content.section.cfiFromRange(range);
+	};
+
+	//-- The section the cfi points into first, then the rest of the book
+	var reanchor = function(entry) {
+		var first = entry.cfi && book.spine.get(entry.cfi);
+		var order = sections.slice();
+
+		if(first) {
+			order.splice(order.indexOf(first), 1);
+			order.unshift(first);
+		}
+
+		return order.reduce(function(previous, section) {
+			return previous.then(function(cfi) {
+				if(cfi) return cfi;
+
+				return load(section).then(function(content) {
+					return anchorIn(content, entry);
+				}, function() {
+					return undefined;
+				});
+			});
+		}, Promise.resolve());
+	};
+
+	return entries.reduce(function(previous, entry) {
+		return previous.then(function() {
+			return resolves(entry);
+		}).then(function(ok) {
+			if(ok) {
+				anchored.push(entry);
+				return;
+			}
+
+			if(!entry.quote) {
+				orphans.push(entry);
+				return;
+			}
+
+			return reanchor(entry).then(function(cfi) {
+				if(cfi) {
+					entry.cfi = cfi;
+					anchored.push(entry);
+				} else {
+					orphans.push(entry);
+				}
+			});
+		});
+	}, book.opened).then(function() {
+		sections.forEach(function(section) {
+			if(loaded[section.index]) section.unload();
+		});
+
+		return { anchored: anchored, orphans: orphans };
+	});
+};
+
+EPUBJS.reader.ImportController = function(book) {
+	var reader = this;
+	var importer = EPUBJS.reader.importer;
+
+	var $file = $("#import-file"),
+			$import = $("#export-menu [data-action=import]"),
+			$status = $("#import-status"),
+			$orphansView = $("#orphansView"),
+			$orphans = $("#orphans");
+
+	//-- How long the outcome of an import stays in the notes panel
+	var STATUS_DELAY = 8000;
+
+	var statusTimeout;
+
+	//-- Orphans of the same entry replace each other, older exports had ids only on notes
+	var orphanKey = function(entry) {
+		if(entry.item && entry.item.id) {
+			return entry.type + ":" + entry.item.id;
+		}
+		return entry.type + ":" + entry.cfi + ":" + (entry.quote ? entry.quote.exact : "");
+	};
+
+	var forgetOrphan = function(entry) {
+		var key = orphanKey(entry);
+
+		reader.settings.orphans = reader.settings.orphans.filter(function(orphan) {
+			return orphanKey(orphan) !== key;
+		});
+	};
+
+	//-- Put an anchored entry into the settings, entries with a known id replace the existing one
+	var merge = function(entry) {
+		var item = entry.item;
+		var existing, location;
+
+		if(entry.type === "note") {
+			item.anchor = entry.cfi;
+
+			if(item.id && reader.getNote(item.id)) {
+				reader.updateNote(item.id, { anchor: item.anchor, body: item.body });
+			} else {
+				reader.addNote(item);
+			}
+		} else if(entry.type === "highlight") {
+			item.cfiRange = entry.cfi;
+			existing = item.id && reader.getHighlight(item.id);
+
+			//-- Re-anchored since it was exported, so the one at the old range goes
+			if(existing && existing.cfiRange !== item.cfiRange) {
+				reader.removeHighlight(existing.cfiRange);
+			}
+			reader.addHighlight(item);
+		} else {
+			existing = item.id && reader.bookmarks.get(item.id);
+
+			if(existing) {
+				location = reader.describeLocation(entry.cfi);
+				reader.bookmarks.update(item.id, {
+					cfi: entry.cfi,
+					label: item.label || existing.label,
+					chapter: location.chapter,
+					snippet: location.snippet
+				});
+			} else {
+				reader.addBookmark(entry.cfi, item);
+			}
+		}
+
+		forgetOrphan(entry);
+	};
+
+	var report = function(message, failed) {
+		clearTimeout(statusTimeout);
+
+		$status.text(message).toggleClass("failed", !!failed).show();
+
+		reader.SidebarController.changePanelTo("Notes");
+		reader.SidebarController.show();
+
+		statusTimeout = setTimeout(function() {
+			$status.hide();
+		}, STATUS_DELAY);
+	};
+
+	var orphanLabel = function(orphan) {
+		var quote = orphan.quote ? "“" + importer.normalize(orphan.quote.exact) + "”" : orphan.cfi;
+		var body = orphan.type === "note" && orphan.item.body ? " — " + orphan.item.body : "";
+
+		return orphan.type + ": " + quote + body;
+	};
+
+	var renderOrphans = function() {
+		var orphans = reader.settings.orphans;
+
+		$orphans.empty();
+		$orphansView.toggle(orphans.length > 0);
+
+		orphans.forEach(function(orphan, index) {
+			var $item = $("<li></li>").text(orphanLabel(orphan));
+			var $remove = $("<a href='#'>Dismiss</a>");
+
+			$remove.on("click", function(e) {
+				reader.settings.orphans.splice(index, 1);
+				renderOrphans();
+				e.preventDefault();
+			});
+
+			$orphans.append($item.append(" ", $remove));
+		});
+	};
+
+	//-- Resolves with { anchored, orphans } once the file's entries are merged
+	var importText = function(text) {
+		var entries;
+
+		try {
+			entries = importer.parse(text);
+		} catch(e) {
+			return Promise.reject(e);
+		}
+
+		return importer.anchor(book, entries).then(function(result) {
+			result.anchored.forEach(merge);
+
+			//-- Orphans are kept, so they can still be read or re-created by hand
+			result.orphans.forEach(function(orphan) {
+				forgetOrphan(orphan);
+				reader.settings.orphans.push({
+					type: orphan.type,
+					cfi: orphan.cfi,
+					item: orphan.item,
+					quote: orphan.quote
+				});
+			});
+			renderOrphans();
+
+			return result;
+		});
+	};
+
+	$import.on("click", function(e) {
+		$file.val("");
+		$file.trigger("click");
+		e.preventDefault();
+	});
+
+	$file.on("change", function() {
+		var file = this.files && this.files[0];
+		var fileReader;
+
+		if(!file) return;
+
+		fileReader = new FileReader();
+		fileReader.onload = function() {
+			importText(fileReader.result).then(function(result) {
+				report("Imported " + result.anchored.length + " entries from " + file.name +
+					(result.orphans.length ? ", " + result.orphans.length + " couldn't be found" : "") + ".");
+			}, function(err) {
+				report("Could not import " + file.name + ": " + err.message, true);
+			});
+		};
+		fileReader.readAsText(file);
+	});
+
+	renderOrphans();
+
+	return {
+		"importText" : importText
+	};
+};
@@ -0,0 +1,119 @@
+EPUBJS.reader.layout = {};
+
+//-- settings.layout as a new reader starts with it
+EPUBJS.reader.layout.DEFAULTS = {
+	flow : "paginated",
+	spread : "auto",
+	minSpreadWidth : 800
+};
+
+//-- Continuous scrolling needs epub.js's continuous view manager, every other flow the default one
+EPUBJS.reader.layout.manager = function(flow) {
+	return flow === "scrolled-continuous" ? "continuous" : "default";
+};
+
+//-- The renderTo / rendition.spread arguments of a layout. "always" is "auto" from 0px up
+EPUBJS.reader.layout.spread = function(layout) {
+	if(layout.spread === "always") {
+		return { spread: "auto", minSpreadWidth: 0 };
+	}
+	return { spread: layout.spread, minSpreadWidth: layout.minSpreadWidth };
+};
+
+EPUBJS.reader.layout.options = function(layout) {
+	var spread = EPUBJS.reader.layout.spread(layout);
+
+	return {
+		manager: EPUBJS.reader.layout.manager(layout.flow),
+		flow: layout.flow,
+		spread: spread.spread,
+		minSpreadWidth: spread.minSpreadWidth
+	};
+};
+
+EPUBJS.reader.LayoutController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+	var layoutOf = EPUBJS.reader.layout;
+
+	var $flow = $("#layout-flow"),
+			$spread = $("#layout-spread"),
+			$minSpreadWidth = $("#layout-min-spread");
+
+	var layout = reader.settings.layout;
+
+	var currentCfi = function() {
+		var location = rendition.currentLocation();
+		return location && location.start ? location.start.cfi : reader.settings.previousLocationCfi;
+	};
+
+	var render = function() {
+		var scrolled = layout.flow !== "paginated";
+
+		$flow.val(layout.flow);
+		$spread.val(layout.spread).prop("disabled", scrolled);
+		$minSpreadWidth.val(layout.minSpreadWidth).prop("disabled", scrolled || layout.spread !== "auto");
+	};
+
+	/**
+	 * Flows sharing a view manager switch in place, rendition.flow redisplays the current cfi.
+	 * The manager can't be swapped on a live rendition, so moving to or from continuous
+	 * scrolling saves the settings, with the current cfi, and reloads onto it.
+	 */
+	var setFlow = function(flow) {
+		var reload = layoutOf.manager(flow) !== layoutOf.manager(layout.flow);
+
+		layout.flow = flow;
+
+		if(reload) {
+			reader.saveSettings();
+			window.location.reload();
+			return;
+		}
+
+		rendition.flow(flow);
+		render();
+	};
+
+	var setSpread = function(spread, minSpreadWidth) {
+		var cfi = currentCfi();
+		var options;
+
+		layout.spread = spread;
+		layout.minSpreadWidth = minSpreadWidth;
+		options = layoutOf.spread(layout);
+
+		rendition.spread(options.spread, options.minSpreadWidth);
+
+		//-- Pages change width, keep the same text in view
+		if(cfi) {
+			rendition.display(cfi);
+		}
+		render();
+	};
+
+	$flow.on("change", function() {
+		setFlow($flow.val());
+	});
+
+	$spread.on("change", function() {
+		setSpread($spread.val(), layout.minSpreadWidth);
+	});
+
+	$minSpreadWidth.on("change", function() {
+		var width = parseInt($minSpreadWidth.val(), 10);
+
+		if(isNaN(width) || width < 0) {
+			render();
+			return;
+		}
+		setSpread(layout.spread, width);
+	});
+
+	render();
+
+	return {
+		"setFlow" : setFlow,
+		"setSpread" : setSpread
+	};
+};
@@ -0,0 +1,139 @@
+EPUBJS.reader.localFile = {};
+
+//-- Only the file opened last is kept, which is enough to reopen it when the page reloads
+EPUBJS.reader.localFile.KEY = "epubjsreader:localFile";
+
+//-- A file from disk has no path to key its settings on, so its contents are used instead
+EPUBJS.reader.localFile.hash = function(buffer) {
+	return "sha256:" + sha256(buffer);
+};
+
+EPUBJS.reader.localFile.read = function(file) {
+	return new Promise(function(resolve, reject) {
+		var fileReader = new FileReader();
+
+		fileReader.onload = function() {
+			resolve(fileReader.result);
+		};
+		fileReader.onerror = function() {
+			reject(fileReader.error);
+		};
+		fileReader.readAsArrayBuffer(file);
+	});
+};
+
+//-- Keep the file in localforage and reload the reader with ?local=<hash>
+EPUBJS.reader.localFile.open = function(file) {
+	var localFile = EPUBJS.reader.localFile;
+
+	return localFile.read(file).then(function(buffer) {
+		var hash = localFile.hash(buffer);
+
+		return localforage.setItem(localFile.KEY, {
+			hash: hash,
+			name: file.name,
+			data: buffer
+		}).then(function() {
+			window.location.href = window.location.pathname + "?local=" + encodeURIComponent(hash);
+		});
+	});
+};
+
+//-- Resolves with the ArrayBuffer of the stored file if it's the one with this hash, or null
+EPUBJS.reader.localFile.load = function(hash) {
+	return localforage.getItem(EPUBJS.reader.localFile.KEY).then(function(stored) {
+		return stored && stored.hash === hash ? stored.data : null;
+	});
+};
+
+EPUBJS.reader.LocalFileController = function(book) {
+	var rendition = this.rendition;
+	var localFile = EPUBJS.reader.localFile;
+
+	var $open = $("#open-file"),
+			$file = $("#open-file-input"),
+			$dropZone = $("#drop-zone");
+
+	//-- dragenter and dragleave fire for every element crossed, so count them
+	var dragDepth = 0;
+
+	var open = function(file) {
+		if(!file) return;
+
+		if(!/\.epub$/i.test(file.name) && file.type !== "application/epub+zip") {
+			alert(file.name + " is not an EPUB file");
+			return;
+		}
+
+		localFile.open(file).catch(function(err) {
+			console.error(err);
+			alert("Could not open " + file.name + ": " + err.message);
+		});
+	};
+
+	var hasFiles = function(e) {
+		var types = e.originalEvent.dataTransfer && e.originalEvent.dataTransfer.types;
+		return !!types && Array.prototype.indexOf.call(types, "Files") !== -1;
+	};
+
+	$open.on("click", function(e) {
+		$file.val("");
+		$file.trigger("click");
+		e.preventDefault();
+	});
+
+	$file.on("change", function() {
+		open(this.files && this.files[0]);
+	});
+
+	var dragEnter = function(e) {
+		if(!hasFiles(e)) return;
+
+		dragDepth++;
+		$dropZone.addClass("shown");
+		e.preventDefault();
+	};
+
+	var dragOver = function(e) {
+		if(hasFiles(e)) e.preventDefault();
+	};
+
+	var dragLeave = function(e) {
+		if(!hasFiles(e)) return;
+
+		dragDepth = Math.max(0, dragDepth - 1);
+		if(!dragDepth) $dropZone.removeClass("shown");
+	};
+
+	var drop = function(e) {
+		var files = e.originalEvent.dataTransfer && e.originalEvent.dataTransfer.files;
+
+		if(!hasFiles(e)) return;
+
+		dragDepth = 0;
+		$dropZone.removeClass("shown");
+		open(files && files[0]);
+		e.preventDefault();
+	};
+
+	var listen = function(doc) {
+		$(doc).on("dragenter", dragEnter)
+			.on("dragover", dragOver)
+			.on("dragleave", dragLeave)
+			.on("drop", drop);
+	};
+
+	listen(document);
+
+	//-- The book's sections are documents of their own, drags over them never reach this one
+	rendition.getContents().forEach(function(contents) {
+		listen(contents.document);
+	});
+	rendition.hooks.content.register(function(contents) {
+		listen(contents.document);
+	});
+
+	return {
+		"open" : open
+	};
+};
@@ -6,10 +6,14 @@ EPUBJS.reader.NotesController = function() {
 	var $notes = $("#notes");
 	var $text = $("#note-text");
 	var $anchor = $("#note-anchor");
-	var annotations = reader.settings.annotations;
-	var renderer = book.renderer;
-	var popups = [];
-	var epubcfi = new ePub.CFI();
+	var $undo = $("#note-undo");
+	var attaching = false;
+	var undoTimeout;
+
+	//-- How long a deleted note can be brought back
+	var UNDO_DELAY = 8000;
+
+	var POPUP_CSS = new URL("css/popup.css", window.location.href).toString();
 
 	var show = function() {
 		$notesView.show();
@@ -19,73 +23,45 @@ EPUBJS.reader.NotesController = function() {
 		$notesView.hide();
 	}
 
-	var insertAtPoint = function(e) {
-		var range;
-		var textNode;
-		var offset;
-		var doc = book.renderer.doc;
-		var cfi;
-		var annotation;
-
-		// standard
-		if (doc.caretPositionFromPoint) {
-			range = doc.caretPositionFromPoint(e.clientX, e.clientY);
-			textNode = range.offsetNode;
-			offset = range.offset;
-		// WebKit
-		} else if (doc.caretRangeFromPoint) {
-			range = doc.caretRangeFromPoint(e.clientX, e.clientY);
-			textNode = range.startContainer;
-			offset = range.startOffset;
-		}
-
-		if (textNode.nodeType !== 3) {
-			for (var i=0; i < textNode.childNodes.length; i++) {
-				if (textNode.childNodes[i].nodeType == 3) {
-					textNode = textNode.childNodes[i];
-					break;
-				}
-			}
-			}
+	var resetAnchor = function() {
+		attaching = false;
+		$anchor.text("Attach");
+		$text.prop("disabled", false);
+	};
 
-		// Find the end of the sentance
-		offset = textNode.textContent.indexOf(".", offset);
-		if(offset === -1){
-			offset = textNode.length; // Last item
-		} else {
-			offset += 1; // After the period
-		}
+	//-- Anchor the note being written to the selected range
+	var insertAtSelection = function(cfiRange, contents) {
+		var annotation;
 
-		cfi = epubcfi.generateCfiFromTextNode(textNode, offset, book.renderer.currentChapter.cfiBase);
+		if(!attaching) return;
 
 		annotation = {
 			annotatedAt: new Date(),
-			anchor: cfi,
+			anchor: cfiRange,
 			body: $text.val()
-		}
+		};
 
-		// add to list
+		//-- listed and placed by the reader:noteAdded listener
 		reader.addNote(annotation);
 
-		// attach
-		addAnnotation(annotation);
-		placeMarker(annotation);
-
 		// clear
+		contents.window.getSelection().removeAllRanges();
 		$text.val('');
-		$anchor.text("Attach");
-		$text.prop("disabled", false);
-
-		rendition.off("click", insertAtPoint);
-
+		resetAnchor();
 	};
 
 	var addAnnotation = function(annotation){
 		var note = document.createElement("li");
+		var body = document.createElement("span");
 		var link = document.createElement("a");
+		var edit = document.createElement("a");
+		var remove = document.createElement("a");
+
+		note.id = "note-" + annotation.id;
+
+		body.textContent = annotation.body;
+		body.classList.add("note_body");
 
-		note.innerHTML = annotation.body;
-		// note.setAttribute("ref", annotation.anchor);
 		link.innerHTML = " context &#187;";
 		link.href = "#"+annotation.anchor;
 		link.onclick = function(){
@@ -93,80 +69,167 @@ EPUBJS.reader.NotesController = function() {
 			return false;
 		};
 
+		edit.textContent = "Edit";
+		edit.href = "#";
+		edit.classList.add("note_edit");
+		edit.onclick = function(){
+			editAnnotation(annotation, note);
+			return false;
+		};
+
+		remove.textContent = "Delete";
+		remove.href = "#";
+		remove.classList.add("note_remove");
+		remove.onclick = function(){
+			removeAnnotation(annotation);
+			return false;
+		};
+
+		note.appendChild(body);
 		note.appendChild(link);
+		note.appendChild(edit);
+		note.appendChild(remove);
 		$notes.append(note);
 
 	};
 
-	var placeMarker = function(annotation){
-		var doc = book.renderer.doc;
-		var marker = document.createElement("span");
-		var mark = document.createElement("a");
+	//-- Swap the note's text for a textarea until it's saved or cancelled
+	var editAnnotation = function(annotation, note){
+		var $note = $(note);
+		var $editor = $("<textarea class='note_editor'></textarea>").val(annotation.body);
+		var $save = $("<button>Save</button>");
+		var $cancel = $("<button>Cancel</button>");
+
+		$note.children().hide();
+		$note.append($editor, $save, $cancel);
+		$editor.focus();
+
+		$save.on("click", function(){
+			reader.updateNote(annotation.id, { body: $editor.val() });
+		});
+
+		$cancel.on("click", function(){
+			$editor.add($save).add($cancel).remove();
+			$note.children().show();
+		});
+	};
+
+	var removeAnnotation = function(annotation){
+		var removed = reader.removeNote(annotation.id);
+
+		if(!removed) return;
+
+		clearTimeout(undoTimeout);
+
+		$undo.find("a").off("click").on("click", function(e){
+			reader.addNote(removed.note, removed.index);
+			$undo.hide();
+			clearTimeout(undoTimeout);
+			e.preventDefault();
+		});
+		$undo.show();
+
+		undoTimeout = setTimeout(function(){
+			$undo.hide();
+		}, UNDO_DELAY);
+	};
+
+	var renderNotes = function(){
+		$notes.empty();
+		reader.settings.annotations.forEach(addAnnotation);
+	};
+
+	//-- Markers are appended to the end of the body and positioned over the text,
+	//   so the chapter's nodes (and every cfi into them) stay untouched
+	var placeMarker = function(annotation, contents){
+		var doc = contents.document;
+		var win = contents.window;
+		var marker = doc.createElement("span");
+		var mark = doc.createElement("a");
+		var range, rect;
+
+		try {
+			range = contents.range(annotation.anchor);
+		} catch(e) {
+			console.log("anchoring failed", annotation.anchor);
+			return;
+		}
+
+		if(!range) return;
+
+		rect = range.getBoundingClientRect();
+
 		marker.classList.add("footnotesuperscript", "reader_generated");
 
-		marker.style.verticalAlign = "super";
+		marker.style.position = "absolute";
+		marker.style.left = rect.right + win.scrollX + "px";
+		marker.style.top = rect.top + win.scrollY - 6 + "px";
 		marker.style.fontSize = ".75em";
-		// marker.style.position = "relative";
 		marker.style.lineHeight = "1em";
 
-		// mark.style.display = "inline-block";
 		mark.style.padding = "2px";
 		mark.style.backgroundColor = "#fffa96";
 		mark.style.borderRadius = "5px";
 		mark.style.cursor = "pointer";
 
-		marker.id = "note-"+EPUBJS.core.uuid();
-		mark.innerHTML = annotations.indexOf(annotation) + 1 + "[Reader]";
+		mark.textContent = reader.indexOfNote(annotation.id) + 1 + "[Reader]";
 
 		marker.appendChild(mark);
-		epubcfi.addMarker(annotation.anchor, doc, marker);
+		doc.body.appendChild(marker);
 
-		markerEvents(marker, annotation.body);
+		markerEvents(marker, annotation.body, contents);
 	}
 
-	var markerEvents = function(item, txt){
-		var id = item.id;
+	//-- Re-place the markers of every note in the sections currently rendered
+	var placeMarkers = function() {
+		rendition.views().forEach(function(view) {
+			var contents = view.contents;
+			var cfiBase = view.section.cfiBase;
+
+			if(!contents) return;
+
+			$(contents.document.body).find(".reader_generated").remove();
+
+			reader.settings.annotations.forEach(function(annotation) {
+				if(annotation.anchor && annotation.anchor.indexOf("epubcfi(" + cfiBase + "!") === 0) {
+					placeMarker(annotation, contents);
+				}
+			});
+		});
+	};
+
+	var markerEvents = function(item, txt, contents){
+		var doc = contents.document;
+		var win = contents.window;
+		var pop, pop_content, hideTimeout;
 
 		var showPop = function(){
-			var poppos,
-					iheight = renderer.height,
-					iwidth = renderer.width,
-			 		tip,
-					pop,
+			var iheight = win.innerHeight,
+					iwidth = win.innerWidth,
 					maxHeight = 225,
 					itemRect,
+					popRect,
 					left,
-					top,
-					pos;
-
-
-			//-- create a popup with endnote inside of it
-			if(!popups[id]) {
-				popups[id] = document.createElement("div");
-				popups[id].setAttribute("class", "popup");
+					top;
 
-				pop_content = document.createElement("div");
+			clearTimeout(hideTimeout);
 
-				popups[id].appendChild(pop_content);
+			//-- create a popup with the note inside of it, in the section's own document
+			if(!pop) {
+				pop = doc.createElement("div");
+				pop.setAttribute("class", "popup reader_generated");
 
-				pop_content.innerHTML = txt;
+				pop_content = doc.createElement("div");
+				pop_content.textContent = txt;
 				pop_content.setAttribute("class", "pop_content");
 
-				renderer.render.document.body.appendChild(popups[id]);
+				pop.appendChild(pop_content);
+				doc.body.appendChild(pop);
 
-				//-- TODO: will these leak memory? - Fred
-				popups[id].addEventListener("mouseover", onPop, false);
-				popups[id].addEventListener("mouseout", offPop, false);
-
-				//-- Add hide on page change
-				rendition.on("locationChanged", hidePop, this);
-				rendition.on("locationChanged", offPop, this);
-				// chapter.book.on("renderer:chapterDestroy", hidePop, this);
+				pop.addEventListener("mouseover", onPop, false);
+				pop.addEventListener("mouseout", offPop, false);
 			}
 
-			pop = popups[id];
-
-
 			//-- get location of item
 			itemRect = item.getBoundingClientRect();
 			left = itemRect.left;
@@ -182,7 +245,6 @@ EPUBJS.reader.NotesController = function() {
 			pop.style.left = left - popRect.width / 2 + "px";
 			pop.style.top = top + "px";
 
-
 			//-- Adjust max height
 			if(maxHeight > iheight / 2.5) {
 				maxHeight = iheight / 2.5;
@@ -207,79 +269,81 @@ EPUBJS.reader.NotesController = function() {
 
 			//-- switch right
 			if(left + popRect.width / 2 >= iwidth) {
-				//-- TEMP MOVE: 300
-				pop.style.left = left - 300 + "px";
-
-				popRect = pop.getBoundingClientRect();
 				pop.style.left = left - popRect.width + "px";
-				//-- switch above / below again
-				if(popRect.height + top >= iheight - 25) {
-					pop.style.top = top - popRect.height  + "px";
-					pop.classList.add("above");
-				}else{
-					pop.classList.remove("above");
-				}
-
 				pop.classList.add("right");
 			}else{
 				pop.classList.remove("right");
 			}
-
 		}
 
 		var onPop = function(){
-			popups[id].classList.add("on");
+			pop.classList.add("on");
 		}
 
 		var offPop = function(){
-			popups[id].classList.remove("on");
+			pop.classList.remove("on");
 		}
 
 		var hidePop = function(){
-			setTimeout(function(){
-				popups[id].classList.remove("show");
+			hideTimeout = setTimeout(function(){
+				if(pop) pop.classList.remove("show");
 			}, 100);
 		}
 
 		var openSidebar = function(){
-			reader.ReaderController.slideOut();
-			show();
+			reader.SidebarController.changePanelTo("Notes");
+			reader.SidebarController.show();
 		};
 
 		item.addEventListener("mouseover", showPop, false);
 		item.addEventListener("mouseout", hidePop, false);
 		item.addEventListener("click", openSidebar, false);
-
 	}
+
+	var hidePopups = function() {
+		rendition.views().forEach(function(view) {
+			if(view.contents) {
+				$(view.contents.document.body).find(".popup").removeClass("show on");
+			}
+		});
+	};
+
 	$anchor.on("click", function(e){
 
+		if(attaching) {
+			resetAnchor();
+			return;
+		}
+
+		attaching = true;
 		$anchor.text("Cancel");
 		$text.prop("disabled", "true");
-		// listen for selection
-		rendition.on("click", insertAtPoint);
-
+		//-- the next selection in the book becomes the anchor, see insertAtSelection
 	});
 
-	annotations.forEach(function(note) {
-		addAnnotation(note);
+	rendition.on("selected", insertAtSelection);
+
+	//-- Every section that renders gets the popup styles and its markers
+	rendition.hooks.content.register(function(contents) {
+		contents.addStylesheet(POPUP_CSS);
 	});
+	rendition.on("rendered", placeMarkers);
+	rendition.on("resized", placeMarkers);
 
-	/*
-	renderer.registerHook("beforeChapterDisplay", function(callback, renderer){
-		var chapter = renderer.currentChapter;
-		annotations.forEach(function(note) {
-			var cfi = epubcfi.parse(note.anchor);
-			if(cfi.spinePos === chapter.spinePos) {
-				try {
-					placeMarker(note);
-				} catch(e) {
-					console.log("anchoring failed", note.anchor);
-				}
-			}
-		});
-		callback();
-	}, true);
-	*/
+	//-- Hide on page change
+	rendition.on("relocated", hidePopups);
+
+	//-- The list and the markers follow every change to the notes
+	var refresh = function(){
+		renderNotes();
+		placeMarkers();
+	};
+
+	reader.on("reader:noteAdded", refresh);
+	reader.on("reader:noteUpdated", refresh);
+	reader.on("reader:noteRemoved", refresh);
+
+	refresh();
 
 	return {
 		"show" : show,
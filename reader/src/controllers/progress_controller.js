@@ -0,0 +1,134 @@
+EPUBJS.reader.progress = {};
+
+//-- Characters per location, about what a page of a paperback holds
+EPUBJS.reader.progress.CHARS_PER_LOCATION = 1600;
+
+//-- Roughly 250 words a minute
+EPUBJS.reader.progress.CHARS_PER_MINUTE = 1500;
+
+//-- Steps of the scrubber, finer than any book has locations
+EPUBJS.reader.progress.SCRUBBER_STEPS = 1000;
+
+//-- Bumped when the way locations are generated changes, so old caches are ignored
+EPUBJS.reader.progress.LOCATIONS_VERSION = 1;
+
+//-- Locations from localforage if they're cached for this book, otherwise generate and cache them
+EPUBJS.reader.progress.loadLocations = function(book, key) {
+	var progress = EPUBJS.reader.progress;
+	var cacheKey = key + ":locations:" + progress.LOCATIONS_VERSION + ":" + progress.CHARS_PER_LOCATION;
+	var generate = function() {
+		return book.locations.generate(progress.CHARS_PER_LOCATION).then(function(locations) {
+			if(typeof localforage !== 'undefined') {
+				localforage.setItem(cacheKey, book.locations.save()).catch(function(err) {
+					console.warn(err);
+				});
+			}
+			return locations;
+		});
+	};
+
+	return book.ready.then(function() {
+		if(typeof localforage === 'undefined') {
+			return generate();
+		}
+
+		return localforage.getItem(cacheKey).then(function(cached) {
+			return cached ? book.locations.load(cached) : generate();
+		}, generate);
+	});
+};
+
+EPUBJS.reader.ProgressController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+	var progress = EPUBJS.reader.progress;
+
+	var $progress = $("#progress"),
+			$scrubber = $("#progress-scrubber"),
+			$percent = $("#progress-percent"),
+			$page = $("#progress-page"),
+			$chapterTime = $("#progress-chapter-time");
+
+	var ready = false;
+	var scrubbing = false;
+
+	//-- Index of the last location in each section, by the section's cfiBase
+	var sectionEnds = {};
+
+	var indexSections = function() {
+		var locations = book.locations._locations;
+
+		sectionEnds = {};
+
+		locations.forEach(function(cfi, index) {
+			var base = cfi.slice("epubcfi(".length, cfi.indexOf("!"));
+			sectionEnds[base] = index;
+		});
+	};
+
+	var minutesLeftInChapter = function(location) {
+		var section = book.spine.get(location.start.index);
+		var end = section && sectionEnds[section.cfiBase];
+
+		if(end === undefined || typeof location.start.location !== "number") return;
+
+		return Math.ceil((end - location.start.location + 1) * progress.CHARS_PER_LOCATION / progress.CHARS_PER_MINUTE);
+	};
+
+	var update = function(location) {
+		var minutes;
+
+		if(!ready || !location || !location.start) return;
+
+		if(!scrubbing) {
+			$scrubber.val(Math.round((location.start.percentage || 0) * progress.SCRUBBER_STEPS));
+		}
+
+		$percent.text(Math.round((location.start.percentage || 0) * 100) + "%");
+
+		//-- Printed page numbers when the book has a page list, locations otherwise
+		if(typeof location.start.page === "number" && book.pageList && book.pageList.lastPage) {
+			$page.text("Page " + location.start.page + " of " + book.pageList.lastPage);
+		} else {
+			$page.text("Page " + (location.start.location + 1) + " of " + book.locations.length());
+		}
+
+		minutes = minutesLeftInChapter(location);
+		$chapterTime.text(minutes === undefined ? "" :
+			minutes <= 1 ? "Less than a minute left in chapter" : minutes + " minutes left in chapter");
+	};
+
+	//-- Show where the scrubber would go while it's dragged, jump once it's let go
+	$scrubber.on("input", function() {
+		scrubbing = true;
+		$percent.text(Math.round($scrubber.val() / progress.SCRUBBER_STEPS * 100) + "%");
+	});
+
+	$scrubber.on("change", function() {
+		var cfi = book.locations.cfiFromPercentage($scrubber.val() / progress.SCRUBBER_STEPS);
+
+		scrubbing = false;
+
+		if(cfi) {
+			rendition.display(cfi);
+		}
+	});
+
+	rendition.on("relocated", update);
+
+	progress.loadLocations(book, reader.settings.bookKey).then(function() {
+		ready = true;
+		indexSections();
+
+		$scrubber.prop("disabled", false);
+		$progress.addClass("ready");
+
+		update(rendition.currentLocation());
+	}).catch(function(err) {
+		console.warn("Could not generate locations", err);
+	});
+
+	return {
+		"update" : update
+	};
+};
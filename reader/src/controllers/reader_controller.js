@@ -25,10 +25,7 @@ EPUBJS.reader.ReaderController = function(book) {
 			$divider = $("#divider"),
 			$loader = $("#loader"),
 			$next = $("#next"),
-			$prev = $("#prev"),
-			$voting = $("#votingModal"),
-			$votingSubmit = $("#votingSubmit"),
-			$rate = $("#rate");
+			$prev = $("#prev");
 	var reader = this;
 	var book = this.book;
 	var rendition = this.rendition;
@@ -125,26 +122,6 @@ EPUBJS.reader.ReaderController = function(book) {
 
 	document.addEventListener('keydown', arrowKeys, false);
 
-	$votingSubmit.on("click", function(e) {
-		var addr = hashCreate(getBookPath());
-		console.log(addr);
-		var value = $rate.val();
-
-		if (!value)
-		{
-			value = 0;
-		}
-
-		var rating = {
-			"rating" : value
-		};
-		var rating_json = JSON.stringify(rating);
-		
-		push_rating(addr, rating_json);
-
-		$voting.removeClass("md-show");
-	});
-
 	$next.on("click", function(e) {
 
 		if(book.package.metadata.direction === "rtl") {
@@ -153,11 +130,6 @@ EPUBJS.reader.ReaderController = function(book) {
 			rendition.next();
 		}
 
-		// var curLocation = rendition.currentLocation();
-		// var percent = book.locations.percentageFromCfi(curLocation.start.cfi);
-		// console.log("%d", location.length);
-		//$voting.addClass("md-show");
-
 		e.preventDefault();
 	});
 
@@ -172,8 +144,9 @@ EPUBJS.reader.ReaderController = function(book) {
 		e.preventDefault();
 	});
 
+	//-- Two pages side by side, which spread "auto" only gives above its min width
 	rendition.on("layout", function(props){
-		if(props.spread === true) {
+		if(props.divisor > 1 && props.flow === "paginated") {
 			showDivider();
 		} else {
 			hideDivider();
@@ -181,15 +154,6 @@ EPUBJS.reader.ReaderController = function(book) {
 	});
 
 	rendition.on('relocated', function(location) {
-		var total = location.end.displayed.total;
-		var page = location.end.displayed.page;
-
-		if (page == total - 1)
-		{
-			console.log("relocated %d", page);
-			$voting.addClass("md-show");
-		}
-
 		if (location.atStart) {
 			$prev.addClass("disabled");
 		}
@@ -0,0 +1,159 @@
+//-- Reading position kept on the server, see /api/progress in server.js.
+//   Positions are kept by account, so only signed in readers sync
+EPUBJS.reader.SyncController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+
+	if(!reader.settings.userId) {
+		return {
+			"pull" : function() {},
+			"flush" : function() {}
+		};
+	}
+
+	var $prompt = $("#sync-prompt"),
+			$device = $prompt.find(".sync_device"),
+			$continue = $prompt.find("[data-action=continue]"),
+			$dismiss = $prompt.find("[data-action=dismiss]");
+
+	//-- Positions are pushed once the reader has stayed on a page this long
+	var PUSH_DELAY = 3000;
+
+	//-- Same origin only, the session cookie tells the server whose position it is
+	var SYNC_URL = "/api/progress/";
+
+	var DEVICE_KEY = "epubjsreader:device";
+
+	var pushTimeout;
+	var pulled = false;
+	var bookId;
+
+	//-- Tells this browser's pushes apart from the other devices', kept in localStorage
+	var storedId = function(key) {
+		var id = localStorage && localStorage.getItem(key);
+
+		if(!id) {
+			id = EPUBJS.core.uuid();
+			if(localStorage) localStorage.setItem(key, id);
+		}
+		return id;
+	};
+
+	var device = storedId(DEVICE_KEY);
+
+	var url = function() {
+		return SYNC_URL + encodeURIComponent(bookId);
+	};
+
+	var push = function() {
+		var percentage = reader.settings.previousLocationPercentage;
+		var position = {
+			cfi: reader.settings.previousLocationCfi,
+			device: device,
+			deviceName: navigator.platform || "",
+			updatedAt: reader.settings.previousLocationAt
+		};
+
+		if(!bookId) return;
+
+		if(typeof percentage === "number") {
+			position.percentage = percentage;
+		}
+
+		//-- keepalive lets the last push of a page finish after it's closed
+		return fetch(url(), {
+			method: "PUT",
+			keepalive: true,
+			credentials: "same-origin",
+			headers: {
+				"Content-Type": "application/json"
+			},
+			body: JSON.stringify(position)
+		}).catch(function(err) {
+			console.warn("Could not sync the reading position", err);
+		});
+	};
+
+	var flush = function() {
+		if(!pushTimeout) return;
+
+		clearTimeout(pushTimeout);
+		pushTimeout = undefined;
+		push();
+	};
+
+	var hidePrompt = function() {
+		$prompt.removeClass("shown");
+	};
+
+	//-- Offer the server's position when another device read further since this one last did
+	var offer = function(position) {
+		var local = reader.settings.previousLocationAt;
+		var label = position.deviceName || "another device";
+
+		if(position.device === device || position.cfi === reader.settings.previousLocationCfi) return;
+		if(local && Date.parse(local) >= Date.parse(position.updatedAt)) return;
+
+		if(typeof position.percentage === "number") {
+			label += ", " + Math.round(position.percentage * 100) + "%";
+		}
+		$device.text(label);
+
+		$continue.off("click").on("click", function(e) {
+			rendition.display(position.cfi);
+			hidePrompt();
+			e.preventDefault();
+		});
+
+		$prompt.addClass("shown");
+	};
+
+	var pull = function() {
+		return $.ajax({
+			url: url(),
+			dataType: "json"
+		}).then(offer, function(xhr) {
+			if(xhr.status !== 404) {
+				console.warn("Could not fetch the synced reading position", xhr.status);
+			}
+		});
+	};
+
+	$dismiss.on("click", function(e) {
+		hidePrompt();
+		e.preventDefault();
+	});
+
+	//-- Only pages turned after the pull count, the first display would otherwise
+	//   look newer than what the other device read
+	rendition.on("relocated", function(location) {
+		if(!pulled) return;
+
+		reader.settings.previousLocationCfi = location.start.cfi;
+		reader.settings.previousLocationAt = new Date().toISOString();
+		//-- only known once the book's locations are generated
+		reader.settings.previousLocationPercentage = location.start.percentage;
+
+		clearTimeout(pushTimeout);
+		pushTimeout = setTimeout(function() {
+			pushTimeout = undefined;
+			push();
+		}, PUSH_DELAY);
+	});
+
+	window.addEventListener("pagehide", flush, false);
+
+	reader.getIdentity().then(function(identity) {
+		bookId = identity;
+		return pull();
+	}).then(function() {
+		pulled = true;
+	}, function() {
+		pulled = true;
+	});
+
+	return {
+		"pull" : pull,
+		"flush" : flush
+	};
+};
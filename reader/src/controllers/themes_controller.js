@@ -0,0 +1,175 @@
+EPUBJS.reader.themes = {};
+
+//-- Colours of the named themes, "custom" takes the ones the user picked
+EPUBJS.reader.themes.COLORS = {
+	"light" : { color: "#222222", background: "#ffffff", link: "#1a5fb4" },
+	"sepia" : { color: "#5b4636", background: "#f4ecd8", link: "#8a4b08" },
+	"dark" : { color: "#d6d6d6", background: "#1e1e1e", link: "#78aeed" }
+};
+
+EPUBJS.reader.themes.DEFAULT_CUSTOM = { color: "#000000", background: "#fdf6e3", link: "#268bd2" };
+
+//-- Choices besides the named themes: follow the system, or keep the publisher's colours
+EPUBJS.reader.themes.AUTO = "auto";
+EPUBJS.reader.themes.PUBLISHER = "default";
+
+/**
+ * Rules for rendition.themes. epub.js puts the selected theme's name as a class on the body
+ * of every section, so scoping the rules to it means an unselected theme no longer applies.
+ * Note markers and popups (.reader_generated) keep their own colours.
+ */
+EPUBJS.reader.themes.rules = function(name, colors) {
+	var body = "body." + name;
+	var rules = {};
+
+	rules[body] = {
+		"color" : colors.color + " !important",
+		"background" : colors.background + " !important"
+	};
+	rules[body + " *:not(.reader_generated):not(.reader_generated *)"] = {
+		"color" : "inherit !important",
+		"background-color" : "transparent !important"
+	};
+	rules[body + " a:not(.reader_generated *)"] = {
+		"color" : colors.link + " !important"
+	};
+
+	return rules;
+};
+
+EPUBJS.reader.ThemesController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+	var themes = EPUBJS.reader.themes;
+
+	var $body = $("body"),
+			$theme = $("#theme"),
+			$custom = $("#theme-custom"),
+			$color = $("#theme-color"),
+			$background = $("#theme-background"),
+			$link = $("#theme-link"),
+			$perBook = $("#theme-per-book");
+
+	var darkScheme = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+
+	//-- The user's choice for every book, kept apart for each signed in user like the book settings
+	var USER_KEY = "epubjsreader:theme" + (reader.settings.userId ? ":user:" + reader.settings.userId : "");
+
+	var load = function() {
+		var stored;
+
+		try {
+			stored = JSON.parse(localStorage.getItem(USER_KEY));
+		} catch (e) { // parsing error of localStorage
+			stored = null;
+		}
+
+		return EPUBJS.core.defaults(stored || {}, {
+			theme: themes.AUTO,
+			custom: themes.DEFAULT_CUSTOM
+		});
+	};
+
+	var preferences = load();
+
+	var save = function() {
+		if(localStorage) {
+			localStorage.setItem(USER_KEY, JSON.stringify(preferences));
+		}
+	};
+
+	//-- The theme chosen for this book, for every book, or "auto"
+	var chosen = function() {
+		return reader.settings.theme || preferences.theme;
+	};
+
+	var resolve = function(name) {
+		if(name !== themes.AUTO) return name;
+		return darkScheme && darkScheme.matches ? "dark" : "light";
+	};
+
+	//-- The chrome gets the same colours through css variables, see .themed in main.css
+	var applyChrome = function(name) {
+		var colors = name === "custom" ? preferences.custom : themes.COLORS[name];
+
+		$body.removeClass("themed theme-light theme-sepia theme-dark theme-custom");
+
+		if(!colors) return;
+
+		$body.addClass("themed theme-" + name);
+		document.body.style.setProperty("--theme-color", colors.color);
+		document.body.style.setProperty("--theme-background", colors.background);
+		document.body.style.setProperty("--theme-link", colors.link);
+	};
+
+	var apply = function() {
+		var name = resolve(chosen());
+
+		if(name === "custom") {
+			rendition.themes.register("custom", themes.rules("custom", preferences.custom));
+		}
+
+		rendition.themes.select(name);
+		applyChrome(name);
+	};
+
+	var render = function() {
+		$theme.val(chosen());
+		$perBook.prop("checked", !!reader.settings.theme);
+		$custom.toggle(chosen() === "custom");
+		$color.val(preferences.custom.color);
+		$background.val(preferences.custom.background);
+		$link.val(preferences.custom.link);
+	};
+
+	var choose = function(name, perBook) {
+		if(perBook) {
+			reader.settings.theme = name;
+		} else {
+			reader.settings.theme = undefined;
+			preferences.theme = name;
+			save();
+		}
+
+		apply();
+		render();
+	};
+
+	for(var name in themes.COLORS) {
+		if(themes.COLORS.hasOwnProperty(name)) {
+			rendition.themes.register(name, themes.rules(name, themes.COLORS[name]));
+		}
+	}
+
+	$theme.on("change", function() {
+		choose($theme.val(), $perBook.prop("checked"));
+	});
+
+	$perBook.on("change", function() {
+		choose($theme.val(), $perBook.prop("checked"));
+	});
+
+	$color.add($background).add($link).on("change", function() {
+		preferences.custom = {
+			color: $color.val(),
+			background: $background.val(),
+			link: $link.val()
+		};
+		save();
+		apply();
+	});
+
+	//-- "auto" follows the system switching between light and dark
+	if(darkScheme && darkScheme.addListener) {
+		darkScheme.addListener(function() {
+			if(chosen() === themes.AUTO) apply();
+		});
+	}
+
+	apply();
+	render();
+
+	return {
+		"apply" : apply
+	};
+};
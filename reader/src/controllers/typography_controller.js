@@ -0,0 +1,195 @@
+EPUBJS.reader.typography = {};
+
+//-- settings.styles as a new reader starts with them, "" keeps what the book's own css says
+EPUBJS.reader.typography.DEFAULTS = {
+	fontSize : "100%",
+	fontFamily : "",
+	lineHeight : "",
+	paragraphSpacing : "",
+	margins : "normal",
+	textAlign : ""
+};
+
+//-- The font families offered, by the value kept in settings.styles.fontFamily.
+//   OpenDyslexic and Atkinson Hyperlegible are bundled in font/, see css/fonts.css
+EPUBJS.reader.typography.FONTS = {
+	"serif" : "Georgia, \"Times New Roman\", serif",
+	"sans-serif" : "\"Helvetica Neue\", Helvetica, Arial, sans-serif",
+	"opendyslexic" : "OpenDyslexic, sans-serif",
+	"atkinson" : "\"Atkinson Hyperlegible\", sans-serif"
+};
+
+EPUBJS.reader.typography.FONT_SIZE_STEP = 5;
+EPUBJS.reader.typography.MIN_FONT_SIZE = 70;
+EPUBJS.reader.typography.MAX_FONT_SIZE = 200;
+
+//-- Body text the family and line height apply to. Code and preformatted text aren't in it,
+//   so they keep the book's monospace fonts
+EPUBJS.reader.typography.TEXT = ["p", "li", "blockquote", "dd", "dt", "td", "th", "h1", "h2", "h3", "h4", "h5", "h6", "figcaption"];
+
+/**
+ * Each setting is a css variable on the body, set with rendition.themes.override, and a class
+ * that turns on the rules using it. A setting left to the book removes the class, since an
+ * override can't be taken back.
+ */
+EPUBJS.reader.typography.SETTINGS = {
+	fontFamily : { variable: "--reader-font-family", className: "reader-font-family" },
+	lineHeight : { variable: "--reader-line-height", className: "reader-line-height" },
+	paragraphSpacing : { variable: "--reader-paragraph-spacing", className: "reader-paragraph-spacing" },
+	textAlign : { variable: "--reader-text-align", className: "reader-text-align" }
+};
+
+//-- Rules for the default theme, which epub.js injects along with whichever theme is selected.
+//   Theme overrides only style the body, and a book's own rules for its paragraphs win over that
+EPUBJS.reader.typography.rules = function() {
+	var typography = EPUBJS.reader.typography;
+	var rules = {};
+
+	//-- "body.<class> <element>, ..." for each element, and the body itself when it's ""
+	var scoped = function(name, elements) {
+		return elements.map(function(element) {
+			return ("body." + typography.SETTINGS[name].className + " " + element).trim();
+		}).join(", ");
+	};
+
+	var variable = function(name) {
+		return "var(" + typography.SETTINGS[name].variable + ") !important";
+	};
+
+	rules[scoped("fontFamily", [""].concat(typography.TEXT))] = {
+		"font-family" : variable("fontFamily")
+	};
+	rules[scoped("lineHeight", [""].concat(typography.TEXT))] = {
+		"line-height" : variable("lineHeight")
+	};
+	rules[scoped("paragraphSpacing", ["p"])] = {
+		"margin-top" : "0 !important",
+		"margin-bottom" : variable("paragraphSpacing")
+	};
+	rules[scoped("textAlign", ["p", "li", "blockquote"])] = {
+		"text-align" : variable("textAlign")
+	};
+
+	return rules;
+};
+
+//-- The css value of a setting, or "" to leave it to the book
+EPUBJS.reader.typography.value = function(name, styles) {
+	if(name === "fontFamily") {
+		return EPUBJS.reader.typography.FONTS[styles.fontFamily] || "";
+	}
+	return styles[name] || "";
+};
+
+EPUBJS.reader.TypographyController = function(book) {
+	var reader = this;
+	var rendition = this.rendition;
+	var typography = EPUBJS.reader.typography;
+
+	var $viewer = $("#viewer"),
+			$fontSize = $("#font-size"),
+			$fontSizeValue = $("#font-size-value"),
+			$fontFamily = $("#font-family"),
+			$lineHeight = $("#line-height"),
+			$paragraphSpacing = $("#paragraph-spacing"),
+			$margins = $("#margins"),
+			$textAlign = $("#text-align"),
+			$reset = $("#typography-reset");
+
+	var FONTS_CSS = new URL("css/fonts.css", window.location.href).toString();
+
+	var styles = reader.settings.styles = EPUBJS.core.defaults(reader.settings.styles || {}, typography.DEFAULTS);
+
+	//-- Turn the rules of each setting on or off in a section
+	var toggle = function(contents) {
+		for(var name in typography.SETTINGS) {
+			if(typography.value(name, styles)) {
+				contents.addClass(typography.SETTINGS[name].className);
+			} else {
+				contents.removeClass(typography.SETTINGS[name].className);
+			}
+		}
+	};
+
+	var apply = function() {
+		var value;
+
+		rendition.themes.fontSize(styles.fontSize);
+
+		for(var name in typography.SETTINGS) {
+			value = typography.value(name, styles);
+			if(value) {
+				rendition.themes.override(typography.SETTINGS[name].variable, value);
+			}
+		}
+
+		rendition.getContents().forEach(toggle);
+
+		$viewer
+			.toggleClass("margins-narrow", styles.margins === "narrow")
+			.toggleClass("margins-wide", styles.margins === "wide");
+
+		//-- Margins change the size of the viewer, so the pages are laid out again
+		rendition.started.then(function() {
+			rendition.resize();
+		});
+	};
+
+	var render = function() {
+		$fontSize.val(parseInt(styles.fontSize, 10));
+		$fontSizeValue.text(styles.fontSize);
+		$fontFamily.val(styles.fontFamily);
+		$lineHeight.val(styles.lineHeight);
+		$paragraphSpacing.val(styles.paragraphSpacing);
+		$margins.val(styles.margins);
+		$textAlign.val(styles.textAlign);
+	};
+
+	var bind = function($input, name, value) {
+		$input.on("change", function() {
+			reader.setStyle(name, value ? value($input.val()) : $input.val());
+		});
+	};
+
+	bind($fontSize, "fontSize", function(value) {
+		return value + "%";
+	});
+	bind($fontFamily, "fontFamily");
+	bind($lineHeight, "lineHeight");
+	bind($paragraphSpacing, "paragraphSpacing");
+	bind($margins, "margins");
+	bind($textAlign, "textAlign");
+
+	//-- Show the size while the slider is dragged, it's only applied once it's let go
+	$fontSize.on("input", function() {
+		$fontSizeValue.text($fontSize.val() + "%");
+	});
+
+	$reset.on("click", function(e) {
+		for(var name in typography.DEFAULTS) {
+			styles[name] = typography.DEFAULTS[name];
+		}
+		reader.trigger("reader:stylesChanged", styles);
+		e.preventDefault();
+	});
+
+	rendition.themes.default(typography.rules());
+	rendition.themes.update("default");
+
+	rendition.hooks.content.register(function(contents) {
+		contents.addStylesheet(FONTS_CSS);
+		toggle(contents);
+	});
+
+	reader.on("reader:stylesChanged", function() {
+		apply();
+		render();
+	});
+
+	apply();
+	render();
+
+	return {
+		"apply" : apply
+	};
+};
@@ -1,123 +1,257 @@
 EPUBJS.reader.search = {};
 
-// Search Server -- https://github.com/futurepress/epubjs-search
-EPUBJS.reader.search.SERVER = "https://pacific-cliffs-3579.herokuapp.com";
+//-- Characters of context shown on each side of a match
+EPUBJS.reader.search.CONTEXT = 60;
 
-EPUBJS.reader.search.request = function(q, callback) {
-	var fetch = $.ajax({
-		dataType: "json",
-		url: EPUBJS.reader.search.SERVER + "/search?q=" + encodeURIComponent(q) 
+//-- Most matches highlighted in the rendition at once
+EPUBJS.reader.search.MAX_HIGHLIGHTS = 200;
+
+//-- Bump when the shape of the index changes, so cached indexes are rebuilt
+EPUBJS.reader.search.INDEX_VERSION = 1;
+
+//-- Load a section and collect its text nodes with their CFIs
+EPUBJS.reader.search.indexSection = function(book, section) {
+	return section.load(book.load.bind(book)).then(function() {
+		var doc = section.document;
+		var walker = doc.createTreeWalker(doc.body || doc.documentElement, NodeFilter.SHOW_TEXT, null, false);
+		var nodes = [];
+		var node;
+
+		while ((node = walker.nextNode())) {
+			if(node.textContent.trim() === '') continue;
+
+			nodes.push({
+				cfi: section.cfiFromElement(node),
+				text: node.textContent
+			});
+		}
+
+		section.unload();
+
+		return {
+			index: section.index,
+			href: section.href,
+			nodes: nodes
+		};
+	});
+};
+
+//-- Walk the spine one section at a time, resolves with the index of every section
+EPUBJS.reader.search.buildIndex = function(book) {
+	var sections = [];
+	var index = [];
+
+	book.spine.each(function(section) {
+		sections.push(section);
 	});
 
-	fetch.fail(function(err) {
-		console.error(err);
+	return sections.reduce(function(previous, section) {
+		return previous.then(function() {
+			return EPUBJS.reader.search.indexSection(book, section).then(function(indexed) {
+				index.push(indexed);
+			}, function(err) {
+				console.warn("Could not index " + section.href, err);
+			});
+		});
+	}, book.opened).then(function() {
+		return index;
 	});
+};
+
+//-- Index from localforage if it's cached for this book, otherwise build and cache it
+EPUBJS.reader.search.loadIndex = function(book, key) {
+	var cacheKey = key + ":search:" + EPUBJS.reader.search.INDEX_VERSION;
+	var build = function() {
+		return EPUBJS.reader.search.buildIndex(book).then(function(index) {
+			if(typeof localforage !== 'undefined') {
+				localforage.setItem(cacheKey, index).catch(function(err) {
+					console.warn(err);
+				});
+			}
+			return index;
+		});
+	};
 
-	fetch.done(function(results) {
-		callback(results);
+	if(typeof localforage === 'undefined') {
+		return build();
+	}
+
+	return localforage.getItem(cacheKey).then(function(cached) {
+		return cached || build();
+	}, build);
+};
+
+//-- Range CFI of [start, end) inside the text node at nodeCfi
+EPUBJS.reader.search.rangeCfi = function(nodeCfi, start, end) {
+	var inner = nodeCfi.slice("epubcfi(".length, -1);
+	var split = inner.lastIndexOf("/");
+	var parent = inner.slice(0, split);
+	var step = inner.slice(split);
+
+	return "epubcfi(" + parent + "," + step + ":" + start + "," + step + ":" + end + ")";
+};
+
+//-- Case insensitive search of the index, returns { cfi, href, before, match, after }
+EPUBJS.reader.search.find = function(index, q) {
+	var query = q.toLowerCase();
+	var context = EPUBJS.reader.search.CONTEXT;
+	var results = [];
+
+	index.forEach(function(section) {
+		section.nodes.forEach(function(node) {
+			var text = node.text;
+			var lower = text.toLowerCase();
+			var pos = lower.indexOf(query);
+
+			while (pos != -1) {
+				results.push({
+					cfi: EPUBJS.reader.search.rangeCfi(node.cfi, pos, pos + query.length),
+					href: section.href,
+					before: (pos > context ? "..." : "") + text.slice(Math.max(0, pos - context), pos),
+					match: text.slice(pos, pos + query.length),
+					after: text.slice(pos + query.length, pos + query.length + context) +
+						(pos + query.length + context < text.length ? "..." : "")
+				});
+
+				pos = lower.indexOf(query, pos + query.length);
+			}
+		});
 	});
+
+	return results;
 };
 
-EPUBJS.reader.plugins.SearchController = function(Book) {
+EPUBJS.reader.plugins.SearchController = function(book) {
 	var reader = this;
-	
+	var rendition = this.rendition;
+
 	var $searchBox = $("#searchBox"),
 			$searchResults = $("#searchResults"),
-			$searchView = $("#searchView"),
-			iframeDoc;
-	
-	var searchShown = false;
-	
+			$searchView = $("#searchView");
+
+	var searchIndex;
+	var highlighted = [];
+
+	var getIndex = function() {
+		if(!searchIndex) {
+			searchIndex = EPUBJS.reader.search.loadIndex(book, reader.settings.bookKey);
+		}
+		return searchIndex;
+	};
+
+	//-- epub.js keys annotations on their range alone, so a hit on a range the reader
+	//   highlighted would replace their highlight, and clearing it would remove it
+	var isUserHighlight = function(cfi) {
+		return reader.isHighlighted(cfi) !== -1;
+	};
+
+	var clearHighlights = function() {
+		highlighted.forEach(function(cfi) {
+			if(!isUserHighlight(cfi)) {
+				rendition.annotations.remove(cfi, "highlight");
+			}
+		});
+		highlighted = [];
+	};
+
+	var highlight = function(results) {
+		results.slice(0, EPUBJS.reader.search.MAX_HIGHLIGHTS).forEach(function(result) {
+			if(isUserHighlight(result.cfi)) return;
+
+			rendition.annotations.highlight(result.cfi, { search: true }, null, "search-hl");
+			highlighted.push(result.cfi);
+		});
+	};
+
+	var chapterTitle = function(href) {
+		var item = book.navigation && book.navigation.get(href);
+		return item ? item.label.trim() : href;
+	};
+
 	var onShow = function() {
 		query();
-		searchShown = true;
 		$searchView.addClass("shown");
 	};
-	
+
 	var onHide = function() {
-		searchShown = false;
 		$searchView.removeClass("shown");
 	};
-	
+
 	var query = function() {
 		var q = $searchBox.val();
-		
+
 		if(q == '') {
 			return;
 		}
-		
+
 		$searchResults.empty();
 		$searchResults.append("<li><p>Searching...</p></li>");
-		
-		
-		
-		EPUBJS.reader.search.request(q, function(data) {
-			var results = data.results;
-			
+
+		getIndex().then(function(index) {
+			var results = EPUBJS.reader.search.find(index, q);
+
 			$searchResults.empty();
-			
-			if(iframeDoc) { 
-				$(iframeDoc).find('body').unhighlight();
-			}
-			
-			if(results.length == 0) {
+			clearHighlights();
+
+			if(results.length === 0) {
 				$searchResults.append("<li><p>No Results Found</p></li>");
 				return;
 			}
-			
-			iframeDoc = $("#viewer iframe")[0].contentDocument;
-			$(iframeDoc).find('body').highlight(q, { element: 'span' });
-			
+
+			highlight(results);
+
 			results.forEach(function(result) {
 				var $li = $("<li></li>");
-				var $item = $("<a href='"+result.href+"' data-cfi='"+result.cfi+"'><span>"+result.title+"</span><p>"+result.highlight+"</p></a>");
-	
+				var $item = $("<a></a>").attr("href", "#" + result.cfi);
+				var $excerpt = $("<p></p>");
+
+				$excerpt.append(document.createTextNode(result.before));
+				$excerpt.append($("<span class='match'></span>").text(result.match));
+				$excerpt.append(document.createTextNode(result.after));
+
+				$item.append($("<span></span>").text(chapterTitle(result.href)));
+				$item.append($excerpt);
+
 				$item.on("click", function(e) {
-					var $this = $(this),
-							cfi = $this.data("cfi");
-					
 					e.preventDefault();
-					
-					Book.gotoCfi(cfi+"/1:0");
-					
-					Book.on("renderer:chapterDisplayed", function() {
-						iframeDoc = $("#viewer iframe")[0].contentDocument;
-						$(iframeDoc).find('body').highlight(q, { element: 'span' });
-					})
-					
-					
-					
+					rendition.display(result.cfi);
 				});
+
 				$li.append($item);
 				$searchResults.append($li);
 			});
-	
+		}, function(err) {
+			console.error(err);
+			$searchResults.empty();
+			$searchResults.append("<li><p>Search failed</p></li>");
 		});
-	
 	};
-	
+
+	$searchBox.on("keydown", function(e) {
+		if(e.keyCode !== 13 || $searchBox.val() == '') {
+			return;
+		}
+
+		e.preventDefault();
+
+		if(reader.SidebarController.getActivePanel() == "Search") {
+			query();
+		} else {
+			reader.SidebarController.changePanelTo("Search");
+		}
+	});
+
 	$searchBox.on("search", function(e) {
-		var q = $searchBox.val();
-		
 		//-- SearchBox is empty or cleared
-		if(q == '') {
+		if($searchBox.val() == '') {
 			$searchResults.empty();
+			clearHighlights();
 			if(reader.SidebarController.getActivePanel() == "Search") {
 				reader.SidebarController.changePanelTo("Toc");
 			}
-			
-			$(iframeDoc).find('body').unhighlight();
-			iframeDoc = false;
-			return;
 		}
-		
-		reader.SidebarController.changePanelTo("Search");
-		
-		e.preventDefault();
 	});
-	
-	
-	
+
 	return {
 		"show" : onShow,
 		"hide" : onHide
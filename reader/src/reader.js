@@ -28,6 +28,7 @@ EPUBJS.Reader = function(bookPath, _options) {
 	var $viewer = $("#viewer");
 	var search = window.location.search;
 	var parameters;
+	var deepLink;
 
 	this.settings = EPUBJS.core.defaults(_options || {}, {
 		bookPath : bookPath,
@@ -35,12 +36,18 @@ EPUBJS.Reader = function(bookPath, _options) {
 		reload : false,
 		bookmarks : undefined,
 		annotations : undefined,
+		highlights : undefined,
+		orphans : undefined,
 		contained : undefined,
 		bookKey : undefined,
 		styles : undefined,
+		theme : undefined,
+		layout : undefined,
+		finishedAt : undefined,
 		sidebarReflow: false,
 		generatePagination: false,
-		history: true
+		history: true,
+		userId : undefined
 	});
 
 	// Overide options with search parameters
@@ -50,16 +57,26 @@ EPUBJS.Reader = function(bookPath, _options) {
 			var split = p.split("=");
 			var name = split[0];
 			var value = split[1] || '';
+
+			//-- Who is reading isn't for a shared link to decide
+			if(EPUBJS.Reader.PRIVATE_SETTINGS.indexOf(name) !== -1) return;
+
 			reader.settings[name] = decodeURIComponent(value);
 		});
 	}
 
-	this.setBookKey(this.settings.bookPath); //-- This could be username + path or any unique string
+	//-- Files opened from disk come as an ArrayBuffer, see EPUBJS.reader.localFile
+	if(this.settings.bookPath instanceof ArrayBuffer) {
+		this.fileHash = EPUBJS.reader.localFile.hash(this.settings.bookPath);
+	}
+
+	this.setBookKey(this.fileHash || this.settings.bookPath); //-- Includes the signed in user, see setBookKey
 
 	if(this.settings.restore && this.isSaved()) {
 		this.applySavedSettings();
 	}
 
+	//-- Filled in with EPUBJS.reader.typography.DEFAULTS by the TypographyController
 	this.settings.styles = this.settings.styles || {
 		fontSize : "100%"
 	};
@@ -68,25 +85,72 @@ EPUBJS.Reader = function(bookPath, _options) {
 
 	this.offline = false;
 	this.sidebarOpen = false;
-	if(!this.settings.bookmarks) {
-		this.settings.bookmarks = [];
-	}
+	//-- Bookmarks live in their own store, kept in sync between tabs.
+	//   settings.bookmarks only seeds it the first time, and mirrors it for saveSettings
+	this.bookmarks = new EPUBJS.reader.BookmarkStore(this.settings.bookKey + ":bookmarks", this.settings.bookmarks);
+	this.settings.bookmarks = this.bookmarks.bookmarks;
+
+	this.bookmarks.on("added", function(bookmark) {
+		reader.trigger("reader:bookmarked", bookmark);
+	});
+	this.bookmarks.on("updated", function(bookmark) {
+		reader.trigger("reader:bookmarkUpdated", bookmark);
+	});
+	this.bookmarks.on("removed", function(bookmark) {
+		reader.trigger("reader:unbookmarked", bookmark);
+	});
+	this.bookmarks.on("changed", function(bookmarks) {
+		reader.settings.bookmarks = bookmarks;
+		reader.trigger("reader:bookmarksChanged", bookmarks);
+	});
 
 	if(!this.settings.annotations) {
 		this.settings.annotations = [];
 	}
 
+	//-- Notes saved before they had ids were removed with `delete`, which left nulls behind
+	this.settings.annotations = this.settings.annotations.filter(function(note) {
+		return !!note;
+	});
+	this.settings.annotations.forEach(function(note) {
+		if(!note.id) note.id = EPUBJS.core.uuid();
+	});
+
+	if(!this.settings.highlights) {
+		this.settings.highlights = [];
+	}
+
+	this.settings.highlights.forEach(function(highlight) {
+		if(!highlight.id) highlight.id = EPUBJS.core.uuid();
+	});
+
+	//-- Imported entries that couldn't be anchored in this edition, see ImportController
+	if(!this.settings.orphans) {
+		this.settings.orphans = [];
+	}
+
 	if(this.settings.generatePagination) {
 		book.generatePagination($viewer.width(), $viewer.height());
 	}
 
-	this.rendition = book.renderTo("viewer", {
+	//-- Flow and spreads, see EPUBJS.reader.LayoutController
+	this.settings.layout = EPUBJS.core.defaults(this.settings.layout || {}, EPUBJS.reader.layout.DEFAULTS);
+
+	this.rendition = book.renderTo("viewer", EPUBJS.core.extend({
 		ignoreClass: "annotator-hl",
 		width: "100%",
 		height: "100%"
-	});
+	}, EPUBJS.reader.layout.options(this.settings.layout)));
 
-	if(this.settings.previousLocationCfi) {
+	//-- A cfi in the fragment (as linked from the library search) wins over the saved position.
+	//   The reader keeps writing its own fragments, so it's cleared once shown
+	deepLink = this.deepLink();
+
+	if(deepLink) {
+		this.displayed = this.rendition.display(deepLink).then(function() {
+			history.replaceState(history.state, '', window.location.pathname + window.location.search);
+		});
+	} else if(this.settings.previousLocationCfi) {
 		this.displayed = this.rendition.display(this.settings.previousLocationCfi);
 	} else {
 		this.displayed = this.rendition.display();
@@ -99,6 +163,16 @@ EPUBJS.Reader = function(bookPath, _options) {
 		reader.SidebarController = EPUBJS.reader.SidebarController.call(reader, book);
 		reader.BookmarksController = EPUBJS.reader.BookmarksController.call(reader, book);
 		reader.NotesController = EPUBJS.reader.NotesController.call(reader, book);
+		reader.HighlightsController = EPUBJS.reader.HighlightsController.call(reader, book);
+		reader.ExportController = EPUBJS.reader.ExportController.call(reader, book);
+		reader.ImportController = EPUBJS.reader.ImportController.call(reader, book);
+		reader.SyncController = EPUBJS.reader.SyncController.call(reader, book);
+		reader.LocalFileController = EPUBJS.reader.LocalFileController.call(reader, book);
+		reader.TypographyController = EPUBJS.reader.TypographyController.call(reader, book);
+		reader.ThemesController = EPUBJS.reader.ThemesController.call(reader, book);
+		reader.LayoutController = EPUBJS.reader.LayoutController.call(reader, book);
+		reader.ProgressController = EPUBJS.reader.ProgressController.call(reader, book);
+		reader.EndOfBookController = EPUBJS.reader.EndOfBookController.call(reader, book);
 
 		window.addEventListener("hashchange", this.hashChanged.bind(this), false);
 
@@ -132,9 +206,13 @@ EPUBJS.Reader = function(bookPath, _options) {
 	return this;
 };
 
+//-- Settings the query string can't override
+EPUBJS.Reader.PRIVATE_SETTINGS = ["userId", "bookKey"];
+
 EPUBJS.Reader.prototype.adjustFontSize = function(e) {
+	var typography = EPUBJS.reader.typography;
 	var fontSize;
-	var interval = 2;
+	var interval = typography.FONT_SIZE_STEP;
 	var PLUS = 187;
 	var MINUS = 189;
 	var ZERO = 48;
@@ -150,48 +228,62 @@ EPUBJS.Reader.prototype.adjustFontSize = function(e) {
 
 	if(MOD && e.keyCode == PLUS) {
 		e.preventDefault();
-		this.book.setStyle("fontSize", (fontSize + interval) + "%");
+		this.setStyle("fontSize", Math.min(fontSize + interval, typography.MAX_FONT_SIZE) + "%");
 
 	}
 
 	if(MOD && e.keyCode == MINUS){
 
 		e.preventDefault();
-		this.book.setStyle("fontSize", (fontSize - interval) + "%");
+		this.setStyle("fontSize", Math.max(fontSize - interval, typography.MIN_FONT_SIZE) + "%");
 	}
 
 	if(MOD && e.keyCode == ZERO){
 		e.preventDefault();
-		this.book.setStyle("fontSize", "100%");
+		this.setStyle("fontSize", "100%");
 	}
 };
 
-EPUBJS.Reader.prototype.addBookmark = function(cfi) {
+//-- Typography, kept in settings.styles and applied by the TypographyController
+EPUBJS.Reader.prototype.setStyle = function(name, value) {
+	this.settings.styles[name] = value;
+	this.trigger("reader:stylesChanged", this.settings.styles);
+};
+
+//-- Bookmarks, { id, cfi, label, createdAt, chapter, snippet }, see EPUBJS.reader.BookmarkStore
+//   `bookmark` optionally carries the id, label and creation time of an imported bookmark
+EPUBJS.Reader.prototype.addBookmark = function(cfi, bookmark) {
 	var present = this.isBookmarked(cfi);
+	var location;
 	if(present > -1 ) return;
 
-	this.settings.bookmarks.push(cfi);
-
-	this.trigger("reader:bookmarked", cfi);
-};
+	bookmark = bookmark || {};
+	location = this.describeLocation(cfi);
 
-EPUBJS.Reader.prototype.removeBookmark = function(cfi) {
-	var bookmark = this.isBookmarked(cfi);
-	if( bookmark === -1 ) return;
+	bookmark = {
+		id: bookmark.id,
+		cfi: cfi,
+		label: bookmark.label || "",
+		createdAt: bookmark.createdAt || new Date().toISOString(),
+		chapter: location.chapter,
+		snippet: location.snippet
+	};
 
-	this.settings.bookmarks.splice(bookmark, 1);
+	return this.bookmarks.add(bookmark);
+};
 
-	this.trigger("reader:unbookmarked", bookmark);
+EPUBJS.Reader.prototype.renameBookmark = function(id, label) {
+	return this.bookmarks.update(id, { label: label });
 };
 
-EPUBJS.Reader.prototype.isBookmarked = function(cfi) {
-	var bookmarks = this.settings.bookmarks;
+EPUBJS.Reader.prototype.removeBookmark = function(cfi) {
+	var bookmark = this.bookmarks.find(cfi);
+	if( !bookmark ) return;
 
-	return bookmarks.indexOf(cfi);
+	return this.bookmarks.remove(bookmark.id);
 };
 
-/*
-EPUBJS.Reader.prototype.searchBookmarked = function(cfi) {
+EPUBJS.Reader.prototype.isBookmarked = function(cfi) {
 	var bookmarks = this.settings.bookmarks,
 			len = bookmarks.length,
 			i;
@@ -201,37 +293,214 @@ EPUBJS.Reader.prototype.searchBookmarked = function(cfi) {
 	}
 	return -1;
 };
-*/
+
+//-- Chapter title of a cfi from the navigation, and the text that follows it if it's rendered
+EPUBJS.Reader.prototype.describeLocation = function(cfi) {
+	var book = this.book;
+	var section = book.spine.get(cfi);
+	var item = section && book.navigation && book.navigation.get(section.href);
+	var snippet = "";
+
+	this.rendition.getContents().forEach(function(contents) {
+		var range, body;
+
+		if(snippet || !section || contents.sectionIndex !== section.index) return;
+
+		try {
+			range = contents.range(cfi);
+			body = contents.document.body;
+			range.setEnd(body, body.childNodes.length);
+			snippet = range.toString().replace(/\s+/g, " ").trim().slice(0, EPUBJS.Reader.SNIPPET_LENGTH);
+		} catch(e) {
+			snippet = "";
+		}
+	});
+
+	return {
+		chapter: item ? item.label.trim() : "",
+		snippet: snippet
+	};
+};
+
+//-- Characters of text kept with a bookmark
+EPUBJS.Reader.SNIPPET_LENGTH = 120;
 
 EPUBJS.Reader.prototype.clearBookmarks = function() {
-	this.settings.bookmarks = [];
+	this.bookmarks.clear();
 };
 
-//-- Notes
-EPUBJS.Reader.prototype.addNote = function(note) {
-	this.settings.annotations.push(note);
+//-- Notes, { id, annotatedAt, anchor, body }
+//   `index` puts the note back where it was, when undoing a removal
+EPUBJS.Reader.prototype.addNote = function(note, index) {
+	var annotations = this.settings.annotations;
+
+	if(!note.id) {
+		note.id = EPUBJS.core.uuid();
+	}
+
+	if(typeof index === "number" && index >= 0 && index < annotations.length) {
+		annotations.splice(index, 0, note);
+	} else {
+		annotations.push(note);
+	}
+
+	this.trigger("reader:noteAdded", note);
+
+	return note;
+};
+
+EPUBJS.Reader.prototype.updateNote = function(id, changes) {
+	var note = this.getNote(id);
+	if( !note ) return;
+
+	for(var key in changes) {
+		if(changes.hasOwnProperty(key) && key !== "id") {
+			note[key] = changes[key];
+		}
+	}
+	note.updatedAt = new Date();
+
+	this.trigger("reader:noteUpdated", note);
+
+	return note;
 };
 
-EPUBJS.Reader.prototype.removeNote = function(note) {
-	var index = this.settings.annotations.indexOf(note);
+//-- Returns { note, index }, so the removal can be undone with addNote(note, index)
+EPUBJS.Reader.prototype.removeNote = function(id) {
+	var index = this.indexOfNote(id);
+	var note;
 	if( index === -1 ) return;
 
-	delete this.settings.annotations[index];
+	note = this.settings.annotations.splice(index, 1)[0];
 
+	this.trigger("reader:noteRemoved", note);
+
+	return { note: note, index: index };
+};
+
+EPUBJS.Reader.prototype.indexOfNote = function(id) {
+	var annotations = this.settings.annotations;
+
+	for(var i = 0; i < annotations.length; i++) {
+		if(annotations[i].id === id) return i;
+	}
+	return -1;
+};
+
+EPUBJS.Reader.prototype.getNote = function(id) {
+	var index = this.indexOfNote(id);
+	return index === -1 ? undefined : this.settings.annotations[index];
 };
 
 EPUBJS.Reader.prototype.clearNotes = function() {
-	this.settings.annotations = [];
+	this.settings.annotations.slice().forEach(function(note) {
+		this.removeNote(note.id);
+	}.bind(this));
+};
+
+//-- Highlights, { id, cfiRange, text, color, style: "highlight" | "underline", createdAt }
+EPUBJS.Reader.prototype.addHighlight = function(highlight) {
+	//-- Highlighting the same range again restyles it, and it keeps its id
+	var restyled = this.removeHighlight(highlight.cfiRange);
+
+	if(!highlight.id) {
+		highlight.id = restyled ? restyled.id : EPUBJS.core.uuid();
+	}
+
+	this.settings.highlights.push(highlight);
+
+	this.trigger("reader:highlighted", highlight);
+};
+
+EPUBJS.Reader.prototype.removeHighlight = function(cfiRange) {
+	var index = this.isHighlighted(cfiRange);
+	var highlight;
+	if( index === -1 ) return;
+
+	highlight = this.settings.highlights.splice(index, 1)[0];
+
+	this.trigger("reader:unhighlighted", highlight);
+
+	return highlight;
+};
+
+EPUBJS.Reader.prototype.isHighlighted = function(cfiRange) {
+	var highlights = this.settings.highlights;
+
+	for(var i = 0; i < highlights.length; i++) {
+		if(highlights[i].cfiRange === cfiRange) return i;
+	}
+	return -1;
+};
+
+EPUBJS.Reader.prototype.getHighlight = function(id) {
+	var highlights = this.settings.highlights;
+
+	for(var i = 0; i < highlights.length; i++) {
+		if(highlights[i].id === id) return highlights[i];
+	}
+};
+
+EPUBJS.Reader.prototype.clearHighlights = function() {
+	this.settings.highlights.slice().forEach(function(highlight) {
+		this.removeHighlight(highlight.cfiRange);
+	}.bind(this));
 };
 
 //-- Settings
+//   Signed in users (settings.userId, from /api/me) get keys of their own,
+//   anonymous keys stay as they were so nothing saved before accounts is lost
 EPUBJS.Reader.prototype.setBookKey = function(identifier){
+	var user = this.settings.userId ? "user:" + this.settings.userId + ":" : "";
+
 	if(!this.settings.bookKey) {
-		this.settings.bookKey = "epubjsreader:" + EPUBJS.VERSION + ":" + window.location.host + ":" + identifier;
+		this.settings.bookKey = "epubjsreader:" + EPUBJS.VERSION + ":" + window.location.host + ":" + user + identifier;
 	}
 	return this.settings.bookKey;
 };
 
+//-- Identity of this edition, used to key its ratings. Must match identity() in lib/epub.js:
+//   "id:" + the package's unique dc:identifier, or "opf:" + a sha256 of the package document
+EPUBJS.Reader.prototype.getIdentity = function() {
+	var book = this.book;
+
+	if(this.identity) {
+		return this.identity;
+	}
+
+	this.identity = book.opened.then(function() {
+		var packagePath = book.path.toString();
+
+		if(book.archived) {
+			return book.archive.getText(packagePath);
+		}
+		return book.request(book.resolve(packagePath), "text");
+	}).then(function(text) {
+		var doc = new DOMParser().parseFromString(text, "application/xml");
+		var uid = doc.documentElement.getAttribute("unique-identifier");
+		var identifiers = doc.getElementsByTagNameNS("http://purl.org/dc/elements/1.1/", "identifier");
+		var identifier = "";
+
+		for (var i = 0; i < identifiers.length; i++) {
+			if(uid && identifiers[i].getAttribute("id") === uid) {
+				identifier = identifiers[i].textContent.trim();
+			}
+		}
+
+		if(!identifier && identifiers.length) {
+			identifier = identifiers[0].textContent.trim();
+		}
+
+		if(identifier) {
+			return "id:" + identifier;
+		}
+
+		return "opf:" + sha256(text);
+	});
+
+	return this.identity;
+};
+
 //-- Checks if the book setting can be retrieved from localStorage
 EPUBJS.Reader.prototype.isSaved = function(bookPath) {
 	var storedSettings;
@@ -302,6 +571,22 @@ EPUBJS.Reader.prototype.unload = function(){
 };
 
 
+/**
+ * The cfi of the fragment when the reader was opened from a link. Selections and page turns put
+ * the reader's own cfi in the fragment, so on a reload or going back it's left to the saved position.
+ */
+EPUBJS.Reader.prototype.deepLink = function(){
+	var hash = window.location.hash.slice(1);
+	var navigation = window.performance && performance.getEntriesByType ?
+		performance.getEntriesByType("navigation")[0] : undefined;
+	var type = navigation ? navigation.type : "navigate";
+
+	if(!hash || type === "reload" || type === "back_forward") {
+		return;
+	}
+	return hash;
+};
+
 EPUBJS.Reader.prototype.hashChanged = function(){
 	var hash = window.location.hash.slice(1);
 	this.rendition.display(hash);
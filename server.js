@@ -1,10 +1,48 @@
+var fs = require("fs");
 var express = require("express");
 var app = express();
 var router = express.Router();
 var listen = require('./reader/tools/serve.js');
+var catalog = require('./lib/catalog');
+var ratings = require('./lib/ratings');
+var search = require('./lib/search');
+var progress = require('./lib/progress');
+var accounts = require('./lib/accounts');
+var upload = require('./lib/upload');
+var config = require('./config.json');
 
 var path = __dirname + "/";
 
+//-- "local" or "iota", see reader/libs/ratings/ratings.js
+config.ratings.store = process.env.RATING_STORE || config.ratings.store;
+
+ratings.open(path + config.ratings.file);
+progress.open(path + config.progress.file);
+accounts.open(path + config.accounts.users, path + config.accounts.sessions);
+
+var booksDir = path + "public/books";
+var reloadTimer;
+
+function loadBooks() {
+  catalog.load(booksDir).then(function(books) {
+    console.log("Catalog loaded: " + books.length + " books");
+  });
+
+  search.load(booksDir).then(function(nodes) {
+    console.log("Search index built: " + nodes + " passages");
+  });
+}
+
+loadBooks();
+
+//-- Files are often written in several steps, so wait for them to settle before reloading
+fs.watch(booksDir, function(event, name) {
+  if (name && !/\.epub$/.test(name)) return;
+
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(loadBooks, 1000);
+});
+
 router.use(express.static('public'));
 router.use('/books', express.static('reader/reader'));
 
@@ -14,6 +52,8 @@ router.use(function (req,res,next) {
   next();
 });
 
+router.use(accounts.middleware);
+
 router.get("/",function(req,res){
   console.log(path + "index.html");
   res.sendFile(path + "index.html");
@@ -31,6 +71,179 @@ router.get("/books",function(req,res){
   res.sendFile(path + "reader/reader/reader.html");
 });
 
+router.get("/api/books",function(req,res){
+  res.json(catalog.list());
+});
+
+//-- Add an epub to the library, sent as the "book" field of a multipart form
+router.post("/api/books",function(req,res,next){
+  if (!req.user) {
+    return res.status(401).json({ error: "Sign in to upload books" });
+  }
+
+  upload.readFile(req, "book", upload.MAX_SIZE).then(function(file) {
+    return catalog.upload(booksDir, file.data);
+  }).then(function(book) {
+    res.status(201).json(book);
+  }).catch(function(err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  });
+});
+
+router.get("/api/books/:id",function(req,res){
+  var book = catalog.get(req.params.id);
+
+  if (!book) {
+    return res.status(404).json({ error: "Book not found" });
+  }
+  res.json(book);
+});
+
+router.get("/api/books/:id/cover",function(req,res,next){
+  catalog.cover(req.params.id).then(function(cover) {
+    if (!cover) {
+      return res.status(404).json({ error: "Cover not found" });
+    }
+    res.type(cover.type).send(cover.data);
+  }).catch(next);
+});
+
+//-- Full text search across every book, see lib/search.js
+router.get("/api/search",function(req,res){
+  var q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  if (!q) {
+    return res.status(400).json({ error: "Missing search query" });
+  }
+  res.json(search.search(q));
+});
+
+//-- Accounts, see lib/accounts.js. Signing in or registering starts a cookie session
+router.post("/api/register",express.json(),function(req,res,next){
+  var body = req.body || {};
+
+  if (!accounts.isUsername(body.username)) {
+    return res.status(400).json({ error: "Usernames are 3 to 32 letters, digits, dots, dashes or underscores" });
+  }
+  if (!accounts.isPassword(body.password)) {
+    return res.status(400).json({ error: "Passwords need at least " + accounts.MIN_PASSWORD + " characters" });
+  }
+  if (accounts.exists(body.username)) {
+    return res.status(409).json({ error: "Username is taken" });
+  }
+
+  accounts.register(body.username, body.password).then(function(user) {
+    if (!user) {
+      return res.status(409).json({ error: "Username is taken" });
+    }
+    accounts.setCookie(res, accounts.createSession(user));
+    res.status(201).json(user);
+  }).catch(next);
+});
+
+router.post("/api/login",express.json(),function(req,res,next){
+  var body = req.body || {};
+
+  if (typeof body.username !== "string" || typeof body.password !== "string") {
+    return res.status(400).json({ error: "Missing username or password" });
+  }
+
+  accounts.login(body.username, body.password).then(function(user) {
+    if (!user) {
+      return res.status(401).json({ error: "Wrong username or password" });
+    }
+    accounts.destroySession(req.session);
+    accounts.setCookie(res, accounts.createSession(user));
+    res.json(user);
+  }).catch(next);
+});
+
+router.post("/api/logout",function(req,res){
+  accounts.destroySession(req.session);
+  accounts.clearCookie(res);
+  res.status(204).end();
+});
+
+router.get("/api/me",function(req,res){
+  if (!req.user) {
+    return res.status(401).json({ error: "Not signed in" });
+  }
+  res.json(req.user);
+});
+
+//-- Settings the browser side needs to know about
+router.get("/api/config",function(req,res){
+  res.json({
+    ratings: { store: config.ratings.store }
+  });
+});
+
+router.get("/api/ratings/:bookAddr",function(req,res){
+  var addr = req.params.bookAddr;
+
+  if (!ratings.isAddress(addr)) {
+    return res.status(400).json({ error: "Invalid book address" });
+  }
+  res.json({ address: addr, entries: ratings.entries(addr) });
+});
+
+router.post("/api/ratings/:bookAddr",express.json(),function(req,res){
+  var addr = req.params.bookAddr;
+  var body = req.body || {};
+  var chunk = { bundle: body.bundle, index: body.index, total: body.total };
+
+  if (!ratings.isAddress(addr)) {
+    return res.status(400).json({ error: "Invalid book address" });
+  }
+  if (!ratings.isMessage(body.message)) {
+    return res.status(400).json({ error: "Message must be a string of at most " + ratings.MAX_MESSAGE + " characters" });
+  }
+  if (!ratings.isChunk(chunk)) {
+    return res.status(400).json({ error: "Invalid bundle, index or total" });
+  }
+  res.status(201).json(ratings.add(addr, body.message, chunk));
+});
+
+//-- Positions are kept by account, see lib/progress.js
+function progressUser(req) {
+  return "user:" + req.user.id;
+}
+
+//-- Reading positions, synced between the devices of a signed in user
+router.get("/api/progress/:bookId",function(req,res){
+  var position;
+
+  if (!req.user) {
+    return res.status(401).json({ error: "Sign in to sync your reading position" });
+  }
+  if (!progress.isBookId(req.params.bookId)) {
+    return res.status(400).json({ error: "Invalid book id" });
+  }
+
+  position = progress.get(progressUser(req), req.params.bookId);
+
+  if (!position) {
+    return res.status(404).json({ error: "No position saved" });
+  }
+  res.json(position);
+});
+
+router.put("/api/progress/:bookId",express.json(),function(req,res){
+  if (!req.user) {
+    return res.status(401).json({ error: "Sign in to sync your reading position" });
+  }
+  if (!progress.isBookId(req.params.bookId)) {
+    return res.status(400).json({ error: "Invalid book id" });
+  }
+  if (!progress.isPosition(req.body)) {
+    return res.status(400).json({ error: "Invalid position" });
+  }
+  res.json(progress.set(progressUser(req), req.params.bookId, req.body));
+});
+
 app.use("/",router);
 
 app.use("*",function(req,res){